@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN "role" TEXT NOT NULL DEFAULT 'viewer';
+
+-- CreateIndex
+CREATE INDEX "users_role_idx" ON "users"("role");
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "csv_uploads" ADD COLUMN "processed_records" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN "completed_at" TIMESTAMPTZ(6);
@@ -0,0 +1,20 @@
+-- AlterTable
+ALTER TABLE "csv_uploads" ADD COLUMN "headers" TEXT[] DEFAULT ARRAY[]::TEXT[];
+
+-- CreateTable
+CREATE TABLE "csv_upload_errors" (
+    "id" UUID NOT NULL,
+    "upload_id" UUID NOT NULL,
+    "line_number" INTEGER NOT NULL,
+    "raw_data" JSONB NOT NULL,
+    "reason" TEXT NOT NULL,
+    "created_at" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "csv_upload_errors_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "csv_upload_errors_upload_id_line_number_idx" ON "csv_upload_errors"("upload_id", "line_number");
+
+-- AddForeignKey
+ALTER TABLE "csv_upload_errors" ADD CONSTRAINT "csv_upload_errors_upload_id_fkey" FOREIGN KEY ("upload_id") REFERENCES "csv_uploads"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,22 @@
+-- AlterTable
+ALTER TABLE "csv_uploads" ADD COLUMN "profile_id" UUID;
+
+-- CreateTable
+CREATE TABLE "import_profiles" (
+    "id" UUID NOT NULL,
+    "name" TEXT NOT NULL,
+    "description" TEXT,
+    "column_mapping" JSONB NOT NULL,
+    "defaults" JSONB NOT NULL DEFAULT '{}',
+    "created_by" TEXT,
+    "created_at" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMPTZ(6) NOT NULL,
+
+    CONSTRAINT "import_profiles_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "import_profiles_name_key" ON "import_profiles"("name");
+
+-- AddForeignKey
+ALTER TABLE "csv_uploads" ADD CONSTRAINT "csv_uploads_profile_id_fkey" FOREIGN KEY ("profile_id") REFERENCES "import_profiles"("id") ON DELETE SET NULL ON UPDATE CASCADE;
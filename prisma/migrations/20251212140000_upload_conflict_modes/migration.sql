@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "csv_uploads" ADD COLUMN "inserted_records" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN "updated_records" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN "unchanged_records" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN "skipped_records" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN "conflict_mode" TEXT NOT NULL DEFAULT 'skip';
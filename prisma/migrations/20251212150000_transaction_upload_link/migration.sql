@@ -0,0 +1,12 @@
+-- AlterTable
+ALTER TABLE "transactions" ADD COLUMN "upload_id" UUID;
+
+-- AlterTable
+ALTER TABLE "csv_uploads" ADD COLUMN "rolled_back_at" TIMESTAMPTZ(6),
+ADD COLUMN "rolled_back_by" TEXT;
+
+-- CreateIndex
+CREATE INDEX "transactions_upload_id_idx" ON "transactions"("upload_id");
+
+-- AddForeignKey
+ALTER TABLE "transactions" ADD CONSTRAINT "transactions_upload_id_fkey" FOREIGN KEY ("upload_id") REFERENCES "csv_uploads"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,38 @@
+-- Trigram matching for substring and typo-tolerant search
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- AlterTable
+-- Lowercased text of every searchable column, maintained by Postgres on insert/update
+-- (phone numbers as digits only). Adding a stored column rewrites the table.
+ALTER TABLE "transactions" ADD COLUMN "search_text" TEXT GENERATED ALWAYS AS (
+  lower(
+    "transactionId" || ' ' ||
+    "customerId" || ' ' ||
+    "customerName" || ' ' ||
+    regexp_replace("phoneNumber", '\D', '', 'g') || ' ' ||
+    "productId" || ' ' ||
+    coalesce("productName", '') || ' ' ||
+    coalesce("brand", '') || ' ' ||
+    "employeeName" || ' ' ||
+    coalesce("storeLocation", '')
+  )
+) STORED;
+
+-- CreateIndex
+CREATE INDEX "transactions_search_text_trgm_idx" ON "transactions" USING GIN ("search_text" gin_trgm_ops);
+
+-- Vocabulary of words in names, products, brands and locations, used to suggest
+-- alternatives for misspelled search words. Refreshed after imports and rollbacks.
+CREATE MATERIALIZED VIEW "transaction_search_terms" AS
+SELECT DISTINCT word AS "term"
+FROM "transactions",
+  regexp_split_to_table(
+    lower(concat_ws(' ', "customerName", "productName", "brand", "employeeName", "storeLocation")),
+    '[^[:alnum:]]+'
+  ) AS word
+WHERE length(word) >= 3;
+
+-- Unique index required by REFRESH MATERIALIZED VIEW CONCURRENTLY
+CREATE UNIQUE INDEX "transaction_search_terms_term_key" ON "transaction_search_terms"("term");
+
+CREATE INDEX "transaction_search_terms_term_trgm_idx" ON "transaction_search_terms" USING GIN ("term" gin_trgm_ops);
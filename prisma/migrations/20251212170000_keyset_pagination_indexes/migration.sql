@@ -0,0 +1,8 @@
+-- CreateIndex
+CREATE INDEX "transactions_date_id_idx" ON "transactions"("date", "id");
+
+-- CreateIndex
+CREATE INDEX "transactions_quantity_id_idx" ON "transactions"("quantity", "id");
+
+-- CreateIndex
+CREATE INDEX "transactions_customerName_id_idx" ON "transactions"("customerName", "id");
@@ -0,0 +1,17 @@
+-- CreateIndex
+CREATE INDEX "transactions_finalAmount_id_idx" ON "transactions"("finalAmount", "id");
+
+-- CreateIndex
+CREATE INDEX "transactions_totalAmount_id_idx" ON "transactions"("totalAmount", "id");
+
+-- CreateIndex
+CREATE INDEX "transactions_age_id_idx" ON "transactions"("age", "id");
+
+-- CreateIndex
+CREATE INDEX "transactions_customerRegion_id_idx" ON "transactions"("customerRegion", "id");
+
+-- CreateIndex
+CREATE INDEX "transactions_employeeName_id_idx" ON "transactions"("employeeName", "id");
+
+-- CreateIndex
+CREATE INDEX "transactions_date_finalAmount_idx" ON "transactions"("date", "finalAmount");
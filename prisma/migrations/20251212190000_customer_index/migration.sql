@@ -0,0 +1,2 @@
+-- CreateIndex
+CREATE INDEX "transactions_customerId_date_idx" ON "transactions"("customerId", "date");
@@ -0,0 +1,269 @@
+-- Move customer, product, store and employee attributes out of "transactions" into their
+-- own tables. Existing rows are backfilled; where a customer or product appears with
+-- different attributes, the values from its most recent transaction are kept.
+
+-- CreateTable
+CREATE TABLE "customers" (
+    "customerId" TEXT NOT NULL,
+    "customerName" TEXT NOT NULL,
+    "phoneNumber" TEXT NOT NULL,
+    "gender" TEXT NOT NULL,
+    "age" INTEGER NOT NULL,
+    "customerRegion" TEXT NOT NULL,
+    "customerType" TEXT,
+    "created_at" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMPTZ(6) NOT NULL,
+
+    CONSTRAINT "customers_pkey" PRIMARY KEY ("customerId")
+);
+
+-- CreateTable
+CREATE TABLE "products" (
+    "productId" TEXT NOT NULL,
+    "productName" TEXT,
+    "brand" TEXT,
+    "productCategory" TEXT NOT NULL,
+    "created_at" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMPTZ(6) NOT NULL,
+
+    CONSTRAINT "products_pkey" PRIMARY KEY ("productId")
+);
+
+-- CreateTable
+CREATE TABLE "stores" (
+    "id" UUID NOT NULL,
+    "storeId" TEXT,
+    "storeLocation" TEXT,
+    "created_at" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMPTZ(6) NOT NULL,
+
+    CONSTRAINT "stores_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "employees" (
+    "id" UUID NOT NULL,
+    "salespersonId" TEXT,
+    "employeeName" TEXT NOT NULL,
+    "created_at" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMPTZ(6) NOT NULL,
+
+    CONSTRAINT "employees_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "customers_customerName_idx" ON "customers"("customerName");
+CREATE INDEX "customers_customerRegion_idx" ON "customers"("customerRegion");
+CREATE INDEX "customers_gender_idx" ON "customers"("gender");
+CREATE INDEX "customers_age_idx" ON "customers"("age");
+CREATE INDEX "products_productCategory_idx" ON "products"("productCategory");
+CREATE INDEX "products_brand_idx" ON "products"("brand");
+CREATE UNIQUE INDEX "stores_storeId_key" ON "stores"("storeId");
+CREATE UNIQUE INDEX "employees_salespersonId_key" ON "employees"("salespersonId");
+CREATE INDEX "employees_employeeName_idx" ON "employees"("employeeName");
+
+-- Stores without a store ID are identified by location, employees without a salesperson ID by name
+CREATE UNIQUE INDEX "stores_storeLocation_no_id_key" ON "stores"("storeLocation") WHERE "storeId" IS NULL;
+CREATE UNIQUE INDEX "employees_employeeName_no_id_key" ON "employees"("employeeName") WHERE "salespersonId" IS NULL;
+
+-- Customer search (name substring) in the customers API
+CREATE INDEX "customers_customerName_trgm_idx" ON "customers" USING GIN ("customerName" gin_trgm_ops);
+
+-- Backfill dimensions from the latest transaction of each customer, product, store and employee
+INSERT INTO "customers" ("customerId", "customerName", "phoneNumber", "gender", "age", "customerRegion", "customerType", "updated_at")
+SELECT DISTINCT ON ("customerId")
+    "customerId", "customerName", "phoneNumber", "gender", "age", "customerRegion", "customerType", CURRENT_TIMESTAMP
+FROM "transactions"
+ORDER BY "customerId", "date" DESC, "created_at" DESC;
+
+INSERT INTO "products" ("productId", "productName", "brand", "productCategory", "updated_at")
+SELECT DISTINCT ON ("productId")
+    "productId", "productName", "brand", "productCategory", CURRENT_TIMESTAMP
+FROM "transactions"
+ORDER BY "productId", "date" DESC, "created_at" DESC;
+
+INSERT INTO "stores" ("id", "storeId", "storeLocation", "updated_at")
+SELECT DISTINCT ON ("storeId")
+    gen_random_uuid(), "storeId", "storeLocation", CURRENT_TIMESTAMP
+FROM "transactions"
+WHERE "storeId" IS NOT NULL
+ORDER BY "storeId", "storeLocation" IS NULL, "date" DESC, "created_at" DESC;
+
+INSERT INTO "stores" ("id", "storeLocation", "updated_at")
+SELECT gen_random_uuid(), "storeLocation", CURRENT_TIMESTAMP
+FROM (SELECT DISTINCT "storeLocation" FROM "transactions" WHERE "storeId" IS NULL AND "storeLocation" IS NOT NULL) AS "locations";
+
+INSERT INTO "employees" ("id", "salespersonId", "employeeName", "updated_at")
+SELECT DISTINCT ON ("salespersonId")
+    gen_random_uuid(), "salespersonId", "employeeName", CURRENT_TIMESTAMP
+FROM "transactions"
+WHERE "salespersonId" IS NOT NULL
+ORDER BY "salespersonId", "date" DESC, "created_at" DESC;
+
+INSERT INTO "employees" ("id", "employeeName", "updated_at")
+SELECT gen_random_uuid(), "employeeName", CURRENT_TIMESTAMP
+FROM (SELECT DISTINCT "employeeName" FROM "transactions" WHERE "salespersonId" IS NULL) AS "names";
+
+-- AlterTable
+ALTER TABLE "transactions" ADD COLUMN "store_key" UUID,
+ADD COLUMN "employee_key" UUID;
+
+UPDATE "transactions" AS t SET "store_key" = s."id"
+FROM "stores" AS s
+WHERE (t."storeId" IS NOT NULL AND s."storeId" = t."storeId")
+   OR (t."storeId" IS NULL AND s."storeId" IS NULL AND s."storeLocation" = t."storeLocation");
+
+UPDATE "transactions" AS t SET "employee_key" = e."id"
+FROM "employees" AS e
+WHERE (t."salespersonId" IS NOT NULL AND e."salespersonId" = t."salespersonId")
+   OR (t."salespersonId" IS NULL AND e."salespersonId" IS NULL AND e."employeeName" = t."employeeName");
+
+ALTER TABLE "transactions" ALTER COLUMN "employee_key" SET NOT NULL;
+
+-- The search vocabulary and search_text are rebuilt from the new tables below
+DROP MATERIALIZED VIEW "transaction_search_terms";
+ALTER TABLE "transactions" ALTER COLUMN "search_text" DROP EXPRESSION;
+
+-- AlterTable (drops the indexes on these columns with them)
+ALTER TABLE "transactions" DROP COLUMN "customerName",
+DROP COLUMN "phoneNumber",
+DROP COLUMN "gender",
+DROP COLUMN "age",
+DROP COLUMN "customerRegion",
+DROP COLUMN "customerType",
+DROP COLUMN "productName",
+DROP COLUMN "brand",
+DROP COLUMN "productCategory",
+DROP COLUMN "storeId",
+DROP COLUMN "storeLocation",
+DROP COLUMN "salespersonId",
+DROP COLUMN "employeeName";
+
+-- CreateIndex
+CREATE INDEX "transactions_productId_idx" ON "transactions"("productId");
+CREATE INDEX "transactions_store_key_idx" ON "transactions"("store_key");
+CREATE INDEX "transactions_employee_key_idx" ON "transactions"("employee_key");
+
+-- AddForeignKey
+ALTER TABLE "transactions" ADD CONSTRAINT "transactions_customerId_fkey" FOREIGN KEY ("customerId") REFERENCES "customers"("customerId") ON DELETE RESTRICT ON UPDATE CASCADE;
+ALTER TABLE "transactions" ADD CONSTRAINT "transactions_productId_fkey" FOREIGN KEY ("productId") REFERENCES "products"("productId") ON DELETE RESTRICT ON UPDATE CASCADE;
+ALTER TABLE "transactions" ADD CONSTRAINT "transactions_store_key_fkey" FOREIGN KEY ("store_key") REFERENCES "stores"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+ALTER TABLE "transactions" ADD CONSTRAINT "transactions_employee_key_fkey" FOREIGN KEY ("employee_key") REFERENCES "employees"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- Flat transaction rows, as the API returns them. LEFT JOINs let Postgres skip
+-- the dimension tables a query does not use.
+CREATE VIEW "transaction_details" AS
+SELECT
+    t."id",
+    t."transactionId",
+    t."date",
+    t."customerId",
+    c."customerName",
+    c."phoneNumber",
+    c."gender",
+    c."age",
+    c."customerRegion",
+    c."customerType",
+    t."productId",
+    p."productName",
+    p."brand",
+    p."productCategory",
+    t."tags",
+    t."quantity",
+    t."pricePerUnit",
+    t."discount_percentage",
+    t."totalAmount",
+    t."finalAmount",
+    t."paymentMethod",
+    t."orderStatus",
+    t."deliveryType",
+    s."storeId",
+    s."storeLocation",
+    e."salespersonId",
+    e."employeeName",
+    t."upload_id",
+    t."search_text",
+    t."created_at",
+    t."updated_at"
+FROM "transactions" AS t
+LEFT JOIN "customers" AS c ON c."customerId" = t."customerId"
+LEFT JOIN "products" AS p ON p."productId" = t."productId"
+LEFT JOIN "stores" AS s ON s."id" = t."store_key"
+LEFT JOIN "employees" AS e ON e."id" = t."employee_key";
+
+-- Lowercased text of every searchable value of a transaction and its dimensions (phone numbers as digits only)
+CREATE FUNCTION "transaction_search_text"(t "transactions") RETURNS TEXT LANGUAGE sql STABLE AS $$
+    SELECT lower(concat_ws(' ',
+        t."transactionId",
+        t."customerId",
+        (SELECT c."customerName" || ' ' || regexp_replace(c."phoneNumber", '\D', '', 'g') FROM "customers" AS c WHERE c."customerId" = t."customerId"),
+        t."productId",
+        (SELECT nullif(concat_ws(' ', p."productName", p."brand"), '') FROM "products" AS p WHERE p."productId" = t."productId"),
+        (SELECT e."employeeName" FROM "employees" AS e WHERE e."id" = t."employee_key"),
+        (SELECT s."storeLocation" FROM "stores" AS s WHERE s."id" = t."store_key")
+    ))
+$$;
+
+CREATE FUNCTION "transactions_set_search_text"() RETURNS TRIGGER LANGUAGE plpgsql AS $$
+BEGIN
+    NEW."search_text" := "transaction_search_text"(NEW);
+    RETURN NEW;
+END
+$$;
+
+CREATE TRIGGER "transactions_search_text" BEFORE INSERT OR UPDATE OF "transactionId", "customerId", "productId", "store_key", "employee_key"
+ON "transactions" FOR EACH ROW EXECUTE FUNCTION "transactions_set_search_text"();
+
+-- Renaming a customer, product, store or employee updates the search text of its transactions
+CREATE FUNCTION "dimension_refresh_search_text"() RETURNS TRIGGER LANGUAGE plpgsql AS $$
+BEGIN
+    IF TG_TABLE_NAME = 'customers' THEN
+        UPDATE "transactions" AS t SET "search_text" = "transaction_search_text"(t) WHERE t."customerId" = NEW."customerId";
+    ELSIF TG_TABLE_NAME = 'products' THEN
+        UPDATE "transactions" AS t SET "search_text" = "transaction_search_text"(t) WHERE t."productId" = NEW."productId";
+    ELSIF TG_TABLE_NAME = 'stores' THEN
+        UPDATE "transactions" AS t SET "search_text" = "transaction_search_text"(t) WHERE t."store_key" = NEW."id";
+    ELSIF TG_TABLE_NAME = 'employees' THEN
+        UPDATE "transactions" AS t SET "search_text" = "transaction_search_text"(t) WHERE t."employee_key" = NEW."id";
+    END IF;
+    RETURN NULL;
+END
+$$;
+
+CREATE TRIGGER "customers_search_text" AFTER UPDATE OF "customerName", "phoneNumber" ON "customers"
+FOR EACH ROW WHEN (OLD."customerName" IS DISTINCT FROM NEW."customerName" OR OLD."phoneNumber" IS DISTINCT FROM NEW."phoneNumber")
+EXECUTE FUNCTION "dimension_refresh_search_text"();
+
+CREATE TRIGGER "products_search_text" AFTER UPDATE OF "productName", "brand" ON "products"
+FOR EACH ROW WHEN (OLD."productName" IS DISTINCT FROM NEW."productName" OR OLD."brand" IS DISTINCT FROM NEW."brand")
+EXECUTE FUNCTION "dimension_refresh_search_text"();
+
+CREATE TRIGGER "stores_search_text" AFTER UPDATE OF "storeLocation" ON "stores"
+FOR EACH ROW WHEN (OLD."storeLocation" IS DISTINCT FROM NEW."storeLocation")
+EXECUTE FUNCTION "dimension_refresh_search_text"();
+
+CREATE TRIGGER "employees_search_text" AFTER UPDATE OF "employeeName" ON "employees"
+FOR EACH ROW WHEN (OLD."employeeName" IS DISTINCT FROM NEW."employeeName")
+EXECUTE FUNCTION "dimension_refresh_search_text"();
+
+-- Recompute search_text from the backfilled dimensions
+UPDATE "transactions" AS t SET "search_text" = "transaction_search_text"(t);
+
+-- Vocabulary of words in names, products, brands and locations (see 20251212160000_transaction_search)
+CREATE MATERIALIZED VIEW "transaction_search_terms" AS
+SELECT DISTINCT word AS "term"
+FROM (
+    SELECT "customerName" AS "text" FROM "customers"
+    UNION ALL
+    SELECT concat_ws(' ', "productName", "brand") FROM "products"
+    UNION ALL
+    SELECT "employeeName" FROM "employees"
+    UNION ALL
+    SELECT "storeLocation" FROM "stores"
+) AS "names",
+  regexp_split_to_table(lower("text"), '[^[:alnum:]]+') AS word
+WHERE length(word) >= 3;
+
+CREATE UNIQUE INDEX "transaction_search_terms_term_key" ON "transaction_search_terms"("term");
+
+CREATE INDEX "transaction_search_terms_term_trgm_idx" ON "transaction_search_terms" USING GIN ("term" gin_trgm_ops);
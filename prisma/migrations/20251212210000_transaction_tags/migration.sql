@@ -0,0 +1,61 @@
+-- Tags become a list of exact, lowercase values instead of a comma-separated string.
+-- The transaction_details view depends on the column, so it is recreated unchanged.
+DROP VIEW "transaction_details";
+
+ALTER TABLE "transactions" ADD COLUMN "tag_list" TEXT[] NOT NULL DEFAULT ARRAY[]::TEXT[];
+
+UPDATE "transactions"
+SET "tag_list" = ARRAY(
+    SELECT DISTINCT lower(btrim("tag"))
+    FROM unnest(string_to_array("tags", ',')) AS "tag"
+    WHERE btrim("tag") <> ''
+    ORDER BY 1
+)
+WHERE "tags" IS NOT NULL;
+
+ALTER TABLE "transactions" DROP COLUMN "tags";
+ALTER TABLE "transactions" RENAME COLUMN "tag_list" TO "tags";
+
+-- Tag filters (&& and @>) use this index
+CREATE INDEX "transactions_tags_idx" ON "transactions" USING GIN ("tags");
+
+-- Flat transaction rows, as the API returns them. LEFT JOINs let Postgres skip
+-- the dimension tables a query does not use.
+CREATE VIEW "transaction_details" AS
+SELECT
+    t."id",
+    t."transactionId",
+    t."date",
+    t."customerId",
+    c."customerName",
+    c."phoneNumber",
+    c."gender",
+    c."age",
+    c."customerRegion",
+    c."customerType",
+    t."productId",
+    p."productName",
+    p."brand",
+    p."productCategory",
+    t."tags",
+    t."quantity",
+    t."pricePerUnit",
+    t."discount_percentage",
+    t."totalAmount",
+    t."finalAmount",
+    t."paymentMethod",
+    t."orderStatus",
+    t."deliveryType",
+    s."storeId",
+    s."storeLocation",
+    e."salespersonId",
+    e."employeeName",
+    t."upload_id",
+    t."search_text",
+    t."created_at",
+    t."updated_at"
+FROM "transactions" AS t
+LEFT JOIN "customers" AS c ON c."customerId" = t."customerId"
+LEFT JOIN "products" AS p ON p."productId" = t."productId"
+LEFT JOIN "stores" AS s ON s."id" = t."store_key"
+LEFT JOIN "employees" AS e ON e."id" = t."employee_key";
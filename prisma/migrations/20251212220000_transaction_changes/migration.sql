@@ -0,0 +1,14 @@
+-- CreateTable
+CREATE TABLE "transaction_changes" (
+    "id" UUID NOT NULL,
+    "transactionId" TEXT NOT NULL,
+    "action" TEXT NOT NULL,
+    "changes" JSONB NOT NULL,
+    "changed_by" TEXT,
+    "changed_at" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "transaction_changes_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "transaction_changes_transactionId_changed_at_idx" ON "transaction_changes"("transactionId", "changed_at");
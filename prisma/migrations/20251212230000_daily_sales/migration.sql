@@ -0,0 +1,196 @@
+-- Daily totals per region, category, gender, payment method and store, so dashboard
+-- stats read a few thousand rows instead of every transaction. Kept up to date by the
+-- triggers below; rebuild_daily_sales() recomputes it from scratch.
+
+-- CreateTable
+CREATE TABLE "daily_sales" (
+    "id" BIGSERIAL NOT NULL,
+    "date" DATE NOT NULL,
+    "customerRegion" TEXT NOT NULL,
+    "productCategory" TEXT NOT NULL,
+    "gender" TEXT NOT NULL,
+    "paymentMethod" TEXT NOT NULL,
+    "store_key" UUID,
+    "transactionCount" INTEGER NOT NULL,
+    "quantity" BIGINT NOT NULL,
+    "totalAmount" DECIMAL(16,2) NOT NULL,
+    "finalAmount" DECIMAL(16,2) NOT NULL,
+
+    CONSTRAINT "daily_sales_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex (transactions without a store share one row per day and dimensions)
+CREATE UNIQUE INDEX "daily_sales_key" ON "daily_sales"("date", "customerRegion", "productCategory", "gender", "paymentMethod", "store_key") NULLS NOT DISTINCT;
+
+-- Rows whose transactions were all removed, deleted after each change
+CREATE INDEX "daily_sales_empty_idx" ON "daily_sales"("id") WHERE "transactionCount" = 0;
+
+-- One transaction added (count 1) or removed (count -1, negated amounts)
+CREATE TYPE "daily_sales_delta" AS (
+    "date" DATE,
+    "customerRegion" TEXT,
+    "productCategory" TEXT,
+    "gender" TEXT,
+    "paymentMethod" TEXT,
+    "store_key" UUID,
+    "transactionCount" INTEGER,
+    "quantity" BIGINT,
+    "totalAmount" DECIMAL(16,2),
+    "finalAmount" DECIMAL(16,2)
+);
+
+-- Add deltas to the totals. Keys are locked in a fixed order so concurrent imports do not deadlock.
+CREATE FUNCTION "daily_sales_apply"("deltas" "daily_sales_delta"[]) RETURNS VOID LANGUAGE sql AS $$
+    INSERT INTO "daily_sales" ("date", "customerRegion", "productCategory", "gender", "paymentMethod", "store_key", "transactionCount", "quantity", "totalAmount", "finalAmount")
+    SELECT "date", "customerRegion", "productCategory", "gender", "paymentMethod", "store_key",
+        sum("transactionCount"), sum("quantity"), sum("totalAmount"), sum("finalAmount")
+    FROM unnest("deltas")
+    GROUP BY 1, 2, 3, 4, 5, 6
+    ORDER BY 1, 2, 3, 4, 5, 6
+    ON CONFLICT ("date", "customerRegion", "productCategory", "gender", "paymentMethod", "store_key") DO UPDATE SET
+        "transactionCount" = "daily_sales"."transactionCount" + EXCLUDED."transactionCount",
+        "quantity" = "daily_sales"."quantity" + EXCLUDED."quantity",
+        "totalAmount" = "daily_sales"."totalAmount" + EXCLUDED."totalAmount",
+        "finalAmount" = "daily_sales"."finalAmount" + EXCLUDED."finalAmount";
+
+    DELETE FROM "daily_sales" WHERE "transactionCount" = 0;
+$$;
+
+-- Inserted, updated and deleted transactions. Updates that leave every rolled-up
+-- column unchanged (e.g. search_text refreshes) are skipped.
+CREATE FUNCTION "transactions_daily_sales"() RETURNS TRIGGER LANGUAGE plpgsql AS $$
+BEGIN
+    IF TG_OP = 'INSERT' THEN
+        PERFORM "daily_sales_apply"(ARRAY(
+            SELECT (t."date", c."customerRegion", p."productCategory", c."gender", t."paymentMethod", t."store_key",
+                1, t."quantity", t."totalAmount", t."finalAmount")::"daily_sales_delta"
+            FROM "new_rows" AS t
+            JOIN "customers" AS c ON c."customerId" = t."customerId"
+            JOIN "products" AS p ON p."productId" = t."productId"
+        ));
+    ELSIF TG_OP = 'DELETE' THEN
+        PERFORM "daily_sales_apply"(ARRAY(
+            SELECT (t."date", c."customerRegion", p."productCategory", c."gender", t."paymentMethod", t."store_key",
+                -1, -t."quantity", -t."totalAmount", -t."finalAmount")::"daily_sales_delta"
+            FROM "old_rows" AS t
+            JOIN "customers" AS c ON c."customerId" = t."customerId"
+            JOIN "products" AS p ON p."productId" = t."productId"
+        ));
+    ELSE
+        PERFORM "daily_sales_apply"(ARRAY(
+            WITH "changed" AS (
+                SELECT o.* FROM "old_rows" AS o
+                JOIN "new_rows" AS n ON n."id" = o."id"
+                WHERE (o."date", o."customerId", o."productId", o."paymentMethod", o."store_key", o."quantity", o."totalAmount", o."finalAmount")
+                    IS DISTINCT FROM (n."date", n."customerId", n."productId", n."paymentMethod", n."store_key", n."quantity", n."totalAmount", n."finalAmount")
+            )
+            SELECT (t."date", c."customerRegion", p."productCategory", c."gender", t."paymentMethod", t."store_key",
+                -1, -t."quantity", -t."totalAmount", -t."finalAmount")::"daily_sales_delta"
+            FROM "changed" AS t
+            JOIN "customers" AS c ON c."customerId" = t."customerId"
+            JOIN "products" AS p ON p."productId" = t."productId"
+            UNION ALL
+            SELECT (t."date", c."customerRegion", p."productCategory", c."gender", t."paymentMethod", t."store_key",
+                1, t."quantity", t."totalAmount", t."finalAmount")::"daily_sales_delta"
+            FROM "new_rows" AS t
+            JOIN "changed" ON "changed"."id" = t."id"
+            JOIN "customers" AS c ON c."customerId" = t."customerId"
+            JOIN "products" AS p ON p."productId" = t."productId"
+        ));
+    END IF;
+    RETURN NULL;
+END
+$$;
+
+-- Transition tables require one trigger per event
+CREATE TRIGGER "transactions_daily_sales_insert" AFTER INSERT ON "transactions"
+REFERENCING NEW TABLE AS "new_rows"
+FOR EACH STATEMENT EXECUTE FUNCTION "transactions_daily_sales"();
+
+CREATE TRIGGER "transactions_daily_sales_update" AFTER UPDATE ON "transactions"
+REFERENCING OLD TABLE AS "old_rows" NEW TABLE AS "new_rows"
+FOR EACH STATEMENT EXECUTE FUNCTION "transactions_daily_sales"();
+
+CREATE TRIGGER "transactions_daily_sales_delete" AFTER DELETE ON "transactions"
+REFERENCING OLD TABLE AS "old_rows"
+FOR EACH STATEMENT EXECUTE FUNCTION "transactions_daily_sales"();
+
+-- A customer's region or gender changed: move its transactions to the new totals
+CREATE FUNCTION "customers_daily_sales"() RETURNS TRIGGER LANGUAGE plpgsql AS $$
+BEGIN
+    PERFORM "daily_sales_apply"(ARRAY(
+        WITH "changed" AS (
+            SELECT o."customerId", o."customerRegion" AS "oldRegion", o."gender" AS "oldGender", n."customerRegion", n."gender"
+            FROM "old_rows" AS o
+            JOIN "new_rows" AS n ON n."customerId" = o."customerId"
+            WHERE (o."customerRegion", o."gender") IS DISTINCT FROM (n."customerRegion", n."gender")
+        )
+        SELECT d."delta" FROM "changed" AS c
+        JOIN "transactions" AS t ON t."customerId" = c."customerId"
+        JOIN "products" AS p ON p."productId" = t."productId"
+        CROSS JOIN LATERAL (VALUES
+            ((t."date", c."oldRegion", p."productCategory", c."oldGender", t."paymentMethod", t."store_key",
+                -1, -t."quantity", -t."totalAmount", -t."finalAmount")::"daily_sales_delta"),
+            ((t."date", c."customerRegion", p."productCategory", c."gender", t."paymentMethod", t."store_key",
+                1, t."quantity", t."totalAmount", t."finalAmount")::"daily_sales_delta")
+        ) AS d("delta")
+    ));
+    RETURN NULL;
+END
+$$;
+
+CREATE TRIGGER "customers_daily_sales" AFTER UPDATE ON "customers"
+REFERENCING OLD TABLE AS "old_rows" NEW TABLE AS "new_rows"
+FOR EACH STATEMENT EXECUTE FUNCTION "customers_daily_sales"();
+
+-- A product's category changed: move its transactions to the new totals
+CREATE FUNCTION "products_daily_sales"() RETURNS TRIGGER LANGUAGE plpgsql AS $$
+BEGIN
+    PERFORM "daily_sales_apply"(ARRAY(
+        WITH "changed" AS (
+            SELECT o."productId", o."productCategory" AS "oldCategory", n."productCategory"
+            FROM "old_rows" AS o
+            JOIN "new_rows" AS n ON n."productId" = o."productId"
+            WHERE o."productCategory" IS DISTINCT FROM n."productCategory"
+        )
+        SELECT d."delta" FROM "changed" AS p
+        JOIN "transactions" AS t ON t."productId" = p."productId"
+        JOIN "customers" AS c ON c."customerId" = t."customerId"
+        CROSS JOIN LATERAL (VALUES
+            ((t."date", c."customerRegion", p."oldCategory", c."gender", t."paymentMethod", t."store_key",
+                -1, -t."quantity", -t."totalAmount", -t."finalAmount")::"daily_sales_delta"),
+            ((t."date", c."customerRegion", p."productCategory", c."gender", t."paymentMethod", t."store_key",
+                1, t."quantity", t."totalAmount", t."finalAmount")::"daily_sales_delta")
+        ) AS d("delta")
+    ));
+    RETURN NULL;
+END
+$$;
+
+CREATE TRIGGER "products_daily_sales" AFTER UPDATE ON "products"
+REFERENCING OLD TABLE AS "old_rows" NEW TABLE AS "new_rows"
+FOR EACH STATEMENT EXECUTE FUNCTION "products_daily_sales"();
+
+-- Recompute every total from the transactions (writes wait until it commits)
+CREATE FUNCTION "rebuild_daily_sales"() RETURNS INTEGER LANGUAGE plpgsql AS $$
+DECLARE
+    "row_count" INTEGER;
+BEGIN
+    LOCK TABLE "transactions" IN SHARE MODE;
+    DELETE FROM "daily_sales";
+
+    INSERT INTO "daily_sales" ("date", "customerRegion", "productCategory", "gender", "paymentMethod", "store_key", "transactionCount", "quantity", "totalAmount", "finalAmount")
+    SELECT t."date", c."customerRegion", p."productCategory", c."gender", t."paymentMethod", t."store_key",
+        count(*), sum(t."quantity"), sum(t."totalAmount"), sum(t."finalAmount")
+    FROM "transactions" AS t
+    JOIN "customers" AS c ON c."customerId" = t."customerId"
+    JOIN "products" AS p ON p."productId" = t."productId"
+    GROUP BY 1, 2, 3, 4, 5, 6;
+
+    GET DIAGNOSTICS "row_count" = ROW_COUNT;
+    RETURN "row_count";
+END
+$$;
+
+-- Backfill
+SELECT "rebuild_daily_sales"();
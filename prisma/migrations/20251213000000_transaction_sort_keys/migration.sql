@@ -0,0 +1,106 @@
+-- Sort keys for the list and keyset pagination. Normalizing dimensions (20251212200000)
+-- dropped the customerName, customerRegion, age and employeeName columns and with them
+-- their (key, id) indexes, so sorting by them sorted the joined view without an index.
+-- Copies of these attributes are kept on the transaction by triggers (as search_text is)
+-- and the transaction_details view reads them from there, so ORDER BY key, id LIMIT n
+-- walks an index again. transactions_customerName_lower_idx is not recreated: search
+-- matches names through the search_text trigram index, and the case-insensitive name
+-- index is on customers (scripts/apply-case-insensitive-index.js).
+ALTER TABLE "transactions" ADD COLUMN "customer_name" TEXT,
+ADD COLUMN "customer_region" TEXT,
+ADD COLUMN "age" INTEGER,
+ADD COLUMN "employee_name" TEXT;
+
+UPDATE "transactions" AS t
+SET "customer_name" = c."customerName", "customer_region" = c."customerRegion", "age" = c."age", "employee_name" = e."employeeName"
+FROM "customers" AS c, "employees" AS e
+WHERE c."customerId" = t."customerId" AND e."id" = t."employee_key";
+
+CREATE FUNCTION "transactions_set_sort_keys"() RETURNS TRIGGER LANGUAGE plpgsql AS $$
+BEGIN
+    SELECT c."customerName", c."customerRegion", c."age"
+    INTO NEW."customer_name", NEW."customer_region", NEW."age"
+    FROM "customers" AS c WHERE c."customerId" = NEW."customerId";
+    SELECT e."employeeName" INTO NEW."employee_name" FROM "employees" AS e WHERE e."id" = NEW."employee_key";
+    RETURN NEW;
+END
+$$;
+
+CREATE TRIGGER "transactions_sort_keys" BEFORE INSERT OR UPDATE OF "customerId", "employee_key"
+ON "transactions" FOR EACH ROW EXECUTE FUNCTION "transactions_set_sort_keys"();
+
+-- Changing a customer's or employee's attributes updates the copies on their transactions
+CREATE FUNCTION "dimension_refresh_sort_keys"() RETURNS TRIGGER LANGUAGE plpgsql AS $$
+BEGIN
+    IF TG_TABLE_NAME = 'customers' THEN
+        UPDATE "transactions"
+        SET "customer_name" = NEW."customerName", "customer_region" = NEW."customerRegion", "age" = NEW."age"
+        WHERE "customerId" = NEW."customerId";
+    ELSIF TG_TABLE_NAME = 'employees' THEN
+        UPDATE "transactions" SET "employee_name" = NEW."employeeName" WHERE "employee_key" = NEW."id";
+    END IF;
+    RETURN NULL;
+END
+$$;
+
+CREATE TRIGGER "customers_sort_keys" AFTER UPDATE OF "customerName", "customerRegion", "age" ON "customers"
+FOR EACH ROW WHEN ((OLD."customerName", OLD."customerRegion", OLD."age") IS DISTINCT FROM (NEW."customerName", NEW."customerRegion", NEW."age"))
+EXECUTE FUNCTION "dimension_refresh_sort_keys"();
+
+CREATE TRIGGER "employees_sort_keys" AFTER UPDATE OF "employeeName" ON "employees"
+FOR EACH ROW WHEN (OLD."employeeName" IS DISTINCT FROM NEW."employeeName")
+EXECUTE FUNCTION "dimension_refresh_sort_keys"();
+
+-- CreateIndex
+CREATE INDEX "transactions_customer_name_id_idx" ON "transactions"("customer_name", "id");
+
+-- CreateIndex
+CREATE INDEX "transactions_customer_region_id_idx" ON "transactions"("customer_region", "id");
+
+-- CreateIndex
+CREATE INDEX "transactions_age_id_idx" ON "transactions"("age", "id");
+
+-- CreateIndex
+CREATE INDEX "transactions_employee_name_id_idx" ON "transactions"("employee_name", "id");
+
+-- The view reads the sort keys from the transaction instead of the joined tables
+DROP VIEW "transaction_details";
+
+CREATE VIEW "transaction_details" AS
+SELECT
+    t."id",
+    t."transactionId",
+    t."date",
+    t."customerId",
+    t."customer_name" AS "customerName",
+    c."phoneNumber",
+    c."gender",
+    t."age",
+    t."customer_region" AS "customerRegion",
+    c."customerType",
+    t."productId",
+    p."productName",
+    p."brand",
+    p."productCategory",
+    t."tags",
+    t."quantity",
+    t."pricePerUnit",
+    t."discount_percentage",
+    t."totalAmount",
+    t."finalAmount",
+    t."paymentMethod",
+    t."orderStatus",
+    t."deliveryType",
+    s."storeId",
+    s."storeLocation",
+    e."salespersonId",
+    t."employee_name" AS "employeeName",
+    t."upload_id",
+    t."search_text",
+    t."created_at",
+    t."updated_at"
+FROM "transactions" AS t
+LEFT JOIN "customers" AS c ON c."customerId" = t."customerId"
+LEFT JOIN "products" AS p ON p."productId" = t."productId"
+LEFT JOIN "stores" AS s ON s."id" = t."store_key"
+LEFT JOIN "employees" AS e ON e."id" = t."employee_key";
@@ -0,0 +1,3 @@
+-- AlterTable
+-- Source text of each rejected row; the only record of rows the CSV parser could not split into values
+ALTER TABLE "csv_upload_errors" ADD COLUMN "raw_line" TEXT;
@@ -0,0 +1,3 @@
+-- AlterTable
+-- Bumped by every progress write, so uploads left "processing" by a stopped server can be told apart
+ALTER TABLE "csv_uploads" ADD COLUMN "updated_at" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP;
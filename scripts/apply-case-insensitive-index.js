@@ -11,8 +11,8 @@ async function applyIndex() {
     const indexCheck = await prisma.$queryRaw`
       SELECT indexname 
       FROM pg_indexes 
-      WHERE tablename = 'transactions' 
-      AND indexname = 'transactions_customerName_lower_idx'
+      WHERE tablename = 'customers' 
+      AND indexname = 'customers_customerName_lower_idx'
     `
     
     if (indexCheck.length > 0) {
@@ -23,8 +23,8 @@ async function applyIndex() {
     // Create the index
     console.log("⏳ Creating index...")
     await prisma.$executeRaw`
-      CREATE INDEX "transactions_customerName_lower_idx" 
-      ON "transactions"(LOWER("customerName"))
+      CREATE INDEX "customers_customerName_lower_idx" 
+      ON "customers"(LOWER("customerName"))
     `
     
     console.log("✅ Case-insensitive index created successfully!")
@@ -0,0 +1,24 @@
+import "dotenv/config"
+import { prisma } from "../src/utils/prisma.js"
+import { rebuildDailySales } from "../src/services/rollupService.js"
+
+async function rebuild() {
+  try {
+    console.log("⏳ Rebuilding daily sales rollup (transaction writes wait until it finishes)...\n")
+
+    const started = Date.now()
+    const rows = await rebuildDailySales()
+
+    console.log(`✅ Rebuilt daily_sales: ${rows} rows in ${((Date.now() - started) / 1000).toFixed(1)}s`)
+  } catch (error) {
+    console.error("\n❌ Error rebuilding daily sales:")
+    console.error(error.message)
+    process.exitCode = 1
+  } finally {
+    await prisma.$disconnect()
+  }
+  // Exit explicitly: a Redis cache connection would keep the process alive
+  process.exit()
+}
+
+rebuild()
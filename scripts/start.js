@@ -1,20 +1,81 @@
 import { execSync } from "child_process"
+import cluster from "cluster"
+import os from "os"
 import "dotenv/config"
+import { logger } from "../src/utils/logger.js"
 
-// Run migrations before starting the server
-console.log("Running database migrations...")
-try {
-  execSync("npx prisma migrate deploy", { stdio: "inherit" })
-  console.log("✓ Migrations completed successfully")
-} catch (error) {
-  console.error("⚠ Migration failed, but continuing with server start...")
-  console.error(error.message)
+/**
+ * Production entry point
+ * Runs migrations, then starts the API. With CLUSTER_WORKERS set to a number, or to
+ * "auto" for one per CPU core, the API runs in that many worker processes sharing the
+ * port; workers that crash are replaced. SIGTERM/SIGINT are passed on to every worker,
+ * which shuts down gracefully (see src/services/shutdownService.js).
+ */
+
+// Restarting a worker that keeps crashing on start would spin; wait between restarts
+const RESTART_DELAY = 1000
+
+if (cluster.isPrimary) {
+  // Run migrations once, before any worker starts
+  logger.info("Running database migrations")
+  try {
+    execSync("npx prisma migrate deploy", { stdio: "inherit" })
+    logger.info("Migrations completed successfully")
+  } catch (error) {
+    logger.error("Migration failed, but continuing with server start", { error: error.message })
+  }
+}
+
+const workers = workerCount(process.env.CLUSTER_WORKERS)
+
+if (workers > 1 && cluster.isPrimary) {
+  startCluster(workers)
+} else {
+  logger.info("Starting server")
+  import("../src/index.js").catch((error) => {
+    logger.error("Failed to start server", { error })
+    process.exit(1)
+  })
 }
 
-// Start the server
-console.log("Starting server...")
-import("../src/index.js").catch((err) => {
-  console.error("Failed to start server:", err)
-  process.exit(1)
-})
+function workerCount(value) {
+  if (value === "auto") return os.availableParallelism()
+  const count = Number(value)
+  return Number.isInteger(count) && count > 0 ? count : 1
+}
+
+function startCluster(count) {
+  if (!process.env.REDIS_URL) {
+    // Each worker has its own in-memory cache; data changes only invalidate the worker that made them
+    logger.warn("Cluster mode without REDIS_URL: workers may serve cached results up to their TTL after data changes")
+  }
+
+  let stopping = false
+  logger.info("Starting cluster", { workers: count })
+  for (let i = 0; i < count; i++) {
+    cluster.fork()
+  }
 
+  cluster.on("exit", (worker, code, signal) => {
+    if (stopping) {
+      if (Object.keys(cluster.workers).length === 0) {
+        logger.info("All workers stopped")
+        process.exit(0)
+      }
+      return
+    }
+    logger.error("Worker exited, starting a replacement", { pid: worker.process.pid, code, signal })
+    setTimeout(() => cluster.fork(), RESTART_DELAY)
+  })
+
+  for (const signal of ["SIGTERM", "SIGINT"]) {
+    process.on(signal, () => {
+      if (stopping) return
+      stopping = true
+      logger.info("Stopping workers", { signal })
+      for (const worker of Object.values(cluster.workers)) {
+        worker.process.kill(signal)
+      }
+    })
+  }
+}
@@ -1,4 +1,7 @@
-import { signIn, signUp, getUser, signOut } from "../services/authService.js"
+import { signIn, signUp, getUser, signOut, listUsers, updateUserRole } from "../services/authService.js"
+import { getAccessToken, invalidateAuthCache } from "../middleware/authMiddleware.js"
+import { ROLES, isValidRole } from "../utils/roles.js"
+import { logger } from "../utils/logger.js"
 
 export async function handleSignUp(req, res) {
   try {
@@ -44,10 +47,7 @@ export async function handleSignIn(req, res) {
 export async function handleGetUser(req, res) {
   try {
     // Try to get token from cookie first, then from Authorization header
-    const accessToken = req.cookies?.access_token || 
-                       (req.headers.authorization?.startsWith("Bearer ") 
-                         ? req.headers.authorization.substring(7) 
-                         : null)
+    const accessToken = getAccessToken(req)
     
     if (!accessToken) {
       return res.status(401).json({ message: "Authorization token is required" })
@@ -64,12 +64,10 @@ export async function handleGetUser(req, res) {
 export async function handleSignOut(req, res) {
   try {
     // Try to get token from cookie first, then from Authorization header
-    const accessToken = req.cookies?.access_token || 
-                       (req.headers.authorization?.startsWith("Bearer ") 
-                         ? req.headers.authorization.substring(7) 
-                         : null)
+    const accessToken = getAccessToken(req)
     
     if (accessToken) {
+      await invalidateAuthCache(accessToken)
       await signOut(accessToken)
     }
     
@@ -92,5 +90,38 @@ export async function handleSignOut(req, res) {
   }
 }
 
+export async function handleListUsers(req, res) {
+  try {
+    const users = await listUsers()
+    return res.status(200).json({ users, roles: ROLES })
+  } catch (err) {
+    logger.error("Error listing users", { error: err })
+    return res.status(500).json({ message: "Failed to list users", error: err.message })
+  }
+}
+
+export async function handleUpdateUserRole(req, res) {
+  try {
+    const { id } = req.params
+    const { role } = req.body
+
+    if (!isValidRole(role)) {
+      return res.status(400).json({ message: `Role must be one of: ${ROLES.join(", ")}` })
+    }
+
+    // Prevent admins from locking themselves out
+    if (id === req.user.id && role !== "admin") {
+      return res.status(400).json({ message: "You cannot remove your own admin role" })
+    }
 
+    const user = await updateUserRole(id, role)
+    if (!user) {
+      return res.status(404).json({ message: "User not found" })
+    }
 
+    return res.status(200).json({ message: "Role updated", user })
+  } catch (err) {
+    logger.error("Error updating user role", { error: err })
+    return res.status(500).json({ message: "Failed to update user role", error: err.message })
+  }
+}
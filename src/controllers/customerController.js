@@ -0,0 +1,46 @@
+import { getCustomers, getCustomer, validateCustomerQuery } from "../services/customerService.js"
+import { logger } from "../utils/logger.js"
+
+/**
+ * List customers with lifetime value, order count and first/last purchase
+ */
+export async function getCustomersHandler(req, res) {
+  try {
+    const { params, errors } = validateCustomerQuery(req.query)
+    if (errors.length > 0) {
+      return res.status(400).json({ message: "Invalid customer query", errors })
+    }
+
+    const result = await getCustomers({
+      ...params,
+      search: typeof req.query.search === "string" ? req.query.search.trim() : "",
+    })
+
+    res.json(result)
+  } catch (error) {
+    logger.error("Error fetching customers", { error })
+    res.status(500).json({ message: "Failed to fetch customers", error: error.message })
+  }
+}
+
+/**
+ * Get one customer's profile, lifetime value, favourites and paginated purchase history
+ */
+export async function getCustomerHandler(req, res) {
+  try {
+    const { params, errors } = validateCustomerQuery({ page: req.query.page, pageSize: req.query.pageSize })
+    if (errors.length > 0) {
+      return res.status(400).json({ message: "Invalid customer query", errors })
+    }
+
+    const customer = await getCustomer(req.params.customerId, { page: params.page, pageSize: params.pageSize })
+    if (!customer) {
+      return res.status(404).json({ message: "Customer not found" })
+    }
+
+    res.json({ customer })
+  } catch (error) {
+    logger.error("Error fetching customer", { error })
+    res.status(500).json({ message: "Failed to fetch customer", error: error.message })
+  }
+}
@@ -0,0 +1,37 @@
+import { checkReadiness } from "../services/healthService.js"
+import { logger } from "../utils/logger.js"
+
+/**
+ * Liveness: the process is up and its event loop responds (no dependencies checked,
+ * so a database outage does not get healthy instances restarted)
+ */
+export function livenessHandler(_req, res) {
+  res.json({ status: "ok", uptime: Math.round(process.uptime()) })
+}
+
+/**
+ * Readiness: database, schema migrations, auth provider and import backlog
+ * Responds 503 when any of them fails. The endpoint is public, so the response only
+ * carries each component's status and latency; failure details are logged.
+ */
+export async function readinessHandler(_req, res) {
+  try {
+    const { ready, components, ...result } = await checkReadiness()
+    if (!ready) {
+      logger.warn("Readiness check failed", { components })
+    }
+    res.status(ready ? 200 : 503).json({
+      ...result,
+      ...(components ? { components: summarizeComponents(components) } : {}),
+    })
+  } catch (error) {
+    logger.error("Error checking readiness", { error })
+    res.status(503).json({ status: "fail", message: "Failed to check readiness" })
+  }
+}
+
+function summarizeComponents(components) {
+  return Object.fromEntries(
+    Object.entries(components).map(([name, { status, latencyMs }]) => [name, { status, latencyMs }])
+  )
+}
@@ -0,0 +1,119 @@
+import {
+  listImportProfiles,
+  getImportProfile,
+  createImportProfile,
+  updateImportProfile,
+  deleteImportProfile,
+  validateImportProfile,
+  detectProfiles,
+  IMPORT_FIELDS,
+} from "../services/importProfileService.js"
+import { logger } from "../utils/logger.js"
+
+/**
+ * List saved import profiles
+ */
+export async function listImportProfilesHandler(req, res) {
+  try {
+    const profiles = await listImportProfiles()
+    res.json({ profiles, fields: IMPORT_FIELDS })
+  } catch (error) {
+    logger.error("Error fetching import profiles", { error })
+    res.status(500).json({ message: "Failed to fetch import profiles", error: error.message })
+  }
+}
+
+/**
+ * Get one import profile
+ */
+export async function getImportProfileHandler(req, res) {
+  try {
+    const profile = await getImportProfile(req.params.id)
+    if (!profile) {
+      return res.status(404).json({ message: "Import profile not found" })
+    }
+    res.json({ profile })
+  } catch (error) {
+    logger.error("Error fetching import profile", { error })
+    res.status(500).json({ message: "Failed to fetch import profile", error: error.message })
+  }
+}
+
+/**
+ * Create an import profile
+ */
+export async function createImportProfileHandler(req, res) {
+  try {
+    const errors = validateImportProfile(req.body)
+    if (errors.length > 0) {
+      return res.status(400).json({ message: "Invalid import profile", errors })
+    }
+
+    const profile = await createImportProfile(req.body, req.user?.email || null)
+    res.status(201).json({ profile })
+  } catch (error) {
+    if (error.code === "P2002") {
+      return res.status(409).json({ message: "An import profile with this name already exists" })
+    }
+    logger.error("Error creating import profile", { error })
+    res.status(500).json({ message: "Failed to create import profile", error: error.message })
+  }
+}
+
+/**
+ * Update an import profile
+ */
+export async function updateImportProfileHandler(req, res) {
+  try {
+    const errors = validateImportProfile(req.body, { partial: true })
+    if (errors.length > 0) {
+      return res.status(400).json({ message: "Invalid import profile", errors })
+    }
+
+    const profile = await updateImportProfile(req.params.id, req.body)
+    if (!profile) {
+      return res.status(404).json({ message: "Import profile not found" })
+    }
+    res.json({ profile })
+  } catch (error) {
+    if (error.code === "P2002") {
+      return res.status(409).json({ message: "An import profile with this name already exists" })
+    }
+    logger.error("Error updating import profile", { error })
+    res.status(500).json({ message: "Failed to update import profile", error: error.message })
+  }
+}
+
+/**
+ * Delete an import profile
+ */
+export async function deleteImportProfileHandler(req, res) {
+  try {
+    const deleted = await deleteImportProfile(req.params.id)
+    if (!deleted) {
+      return res.status(404).json({ message: "Import profile not found" })
+    }
+    res.status(204).end()
+  } catch (error) {
+    logger.error("Error deleting import profile", { error })
+    res.status(500).json({ message: "Failed to delete import profile", error: error.message })
+  }
+}
+
+/**
+ * Suggest the best-matching profiles for a file's header row
+ */
+export async function detectImportProfileHandler(req, res) {
+  try {
+    const { headers } = req.body || {}
+    if (!Array.isArray(headers) || headers.length === 0 || !headers.every((h) => typeof h === "string")) {
+      return res.status(400).json({ message: "headers must be a non-empty array of column names" })
+    }
+
+    const suggestions = await detectProfiles(headers)
+    res.json({ suggestions })
+  } catch (error) {
+    logger.error("Error detecting import profile", { error })
+    res.status(500).json({ message: "Failed to detect import profile", error: error.message })
+  }
+}
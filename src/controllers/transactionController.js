@@ -1,57 +1,138 @@
-import { getTransactions, getFilterOptions, getStats } from "../services/transactionService.js"
-import { importTransactionsFromBuffer } from "../services/csvImportService.js"
+import { getTransactions, getTransactionsByCursor, getFilterOptions, getStats } from "../services/transactionService.js"
+import { startImportJob, getImportProgress, subscribeToImport } from "../services/importJobService.js"
+import { isShuttingDown } from "../services/shutdownService.js"
+import {
+  getUploadErrors,
+  writeUploadErrorsCsv,
+  previewTransactionsFromCSV,
+  rollbackUpload,
+  CONFLICT_MODES,
+} from "../services/csvImportService.js"
+import { getImportProfile, resolveImportProfile } from "../services/importProfileService.js"
+import { exportTransactions, EXPORT_FORMATS } from "../services/exportService.js"
+import {
+  getTransaction,
+  updateTransaction,
+  deleteTransaction,
+  getTransactionHistory,
+  TransactionValidationError,
+} from "../services/transactionEditService.js"
+import {
+  getTimeseries,
+  getBreakdown,
+  validateBreakdownQuery,
+  TIMESERIES_INTERVALS,
+} from "../services/statsService.js"
 import { prisma } from "../utils/prisma.js"
+import { hasPermission } from "../utils/roles.js"
+import { parseTransactionFilters, FilterValidationError } from "../utils/transactionFilters.js"
+import { InvalidCursorError } from "../utils/cursor.js"
+import { parseTransactionSort, SortValidationError } from "../utils/transactionSort.js"
+import { logger } from "../utils/logger.js"
+import fs from "fs"
+import path from "path"
+
+const MAX_CURSOR_LIMIT = 200
 
 /**
  * Get transactions with filters, search, sort, and pagination
+ * Page-number pagination by default; passing `cursor` and/or `limit` switches to
+ * keyset pagination with opaque next/previous cursors and no total count.
  */
 export async function getTransactionsHandler(req, res) {
   try {
     const {
       page = 1,
       pageSize = 10,
-      search = "",
-      sortBy = "customerName",
-      sortOrder = "asc",
     } = req.query
+    const search = typeof req.query.search === "string" ? req.query.search.trim() : ""
+
+    // Parse and validate filters and sort from query string
+    const filters = parseTransactionFilters(req.query)
+    const sort = parseTransactionSort(req.query)
 
-    // Parse filters from query string
-    const filters = {
-      regions: req.query.regions ? (Array.isArray(req.query.regions) ? req.query.regions : [req.query.regions]) : [],
-      genders: req.query.genders ? (Array.isArray(req.query.genders) ? req.query.genders : [req.query.genders]) : [],
-      ageRange: req.query.ageMin && req.query.ageMax ? [parseInt(req.query.ageMin), parseInt(req.query.ageMax)] : null,
-      categories: req.query.categories ? (Array.isArray(req.query.categories) ? req.query.categories : [req.query.categories]) : [],
-      tags: req.query.tags ? (Array.isArray(req.query.tags) ? req.query.tags : [req.query.tags]) : [],
-      paymentMethods: req.query.paymentMethods ? (Array.isArray(req.query.paymentMethods) ? req.query.paymentMethods : [req.query.paymentMethods]) : [],
-      dateRange: req.query.dateFrom && req.query.dateTo ? [req.query.dateFrom, req.query.dateTo] : null,
-    }
-
-    // Remove empty arrays
-    Object.keys(filters).forEach((key) => {
-      if (Array.isArray(filters[key]) && filters[key].length === 0) {
-        delete filters[key]
+    if (req.query.cursor !== undefined || req.query.limit !== undefined) {
+      if (req.query.cursor !== undefined && typeof req.query.cursor !== "string") {
+        return res.status(400).json({ message: "cursor must be a single value" })
       }
-      if (filters[key] === null) {
-        delete filters[key]
+      const limit = req.query.limit === undefined ? 20 : Number(req.query.limit)
+      if (!Number.isInteger(limit) || limit < 1 || limit > MAX_CURSOR_LIMIT) {
+        return res.status(400).json({ message: `limit must be a whole number between 1 and ${MAX_CURSOR_LIMIT}` })
       }
-    })
+
+      const result = await getTransactionsByCursor({
+        cursor: req.query.cursor || null,
+        limit,
+        search,
+        filters,
+        sort,
+      })
+      return res.json(result)
+    }
 
     const result = await getTransactions({
       page: parseInt(page, 10),
       pageSize: parseInt(pageSize, 10),
-      search: search.trim(),
+      search,
       filters,
-      sortBy,
-      sortOrder,
+      sort,
     })
 
     res.json(result)
   } catch (error) {
-    console.error("Error fetching transactions:", error)
+    if (error instanceof FilterValidationError || error instanceof SortValidationError) {
+      return res.status(400).json({ message: error.message, errors: error.errors })
+    }
+    if (error instanceof InvalidCursorError) {
+      return res.status(400).json({ message: error.message })
+    }
+    logger.error("Error fetching transactions", { error })
     res.status(500).json({ message: "Failed to fetch transactions", error: error.message })
   }
 }
 
+/**
+ * Export every transaction matching the filters, search and sort as CSV, NDJSON or XLSX
+ * Rows are streamed from the database in batches, never held in memory all at once.
+ */
+export async function exportTransactionsHandler(req, res) {
+  try {
+    const { format = "csv" } = req.query
+    const search = typeof req.query.search === "string" ? req.query.search.trim() : ""
+
+    const exportFormat = typeof format === "string" && Object.hasOwn(EXPORT_FORMATS, format) ? EXPORT_FORMATS[format] : null
+    if (!exportFormat) {
+      return res.status(400).json({ message: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(", ")}` })
+    }
+
+    const filters = parseTransactionFilters(req.query)
+    const sort = parseTransactionSort(req.query)
+    const fileName = `transactions-${new Date().toISOString().split("T")[0]}.${exportFormat.extension}`
+
+    res.setHeader("Content-Type", exportFormat.contentType)
+    res.setHeader("Content-Disposition", `attachment; filename="${fileName}"`)
+
+    await exportTransactions(format, {
+      search,
+      filters,
+      sort,
+    }, res)
+  } catch (error) {
+    if (error instanceof FilterValidationError || error instanceof SortValidationError) {
+      return res.status(400).json({ message: error.message, errors: error.errors })
+    }
+    logger.error("Error exporting transactions", { error })
+    if (res.headersSent) {
+      // Headers are gone; cut the stream so the client sees an incomplete download
+      return res.destroy(error)
+    }
+    // Nothing streamed yet: answer with a plain JSON error, not a download
+    res.removeHeader("Content-Type")
+    res.removeHeader("Content-Disposition")
+    res.status(500).json({ message: "Failed to export transactions", error: error.message })
+  }
+}
+
 /**
  * Get filter options for dropdowns
  */
@@ -60,7 +141,7 @@ export async function getFilterOptionsHandler(req, res) {
     const options = await getFilterOptions()
     res.json(options)
   } catch (error) {
-    console.error("Error fetching filter options:", error)
+    logger.error("Error fetching filter options", { error })
     res.status(500).json({ message: "Failed to fetch filter options", error: error.message })
   }
 }
@@ -70,40 +151,79 @@ export async function getFilterOptionsHandler(req, res) {
  */
 export async function getStatsHandler(req, res) {
   try {
-    // Parse filters from query string (same as transactions)
-    const filters = {
-      regions: req.query.regions ? (Array.isArray(req.query.regions) ? req.query.regions : [req.query.regions]) : [],
-      genders: req.query.genders ? (Array.isArray(req.query.genders) ? req.query.genders : [req.query.genders]) : [],
-      ageRange: req.query.ageMin && req.query.ageMax ? [parseInt(req.query.ageMin), parseInt(req.query.ageMax)] : null,
-      categories: req.query.categories ? (Array.isArray(req.query.categories) ? req.query.categories : [req.query.categories]) : [],
-      tags: req.query.tags ? (Array.isArray(req.query.tags) ? req.query.tags : [req.query.tags]) : [],
-      paymentMethods: req.query.paymentMethods ? (Array.isArray(req.query.paymentMethods) ? req.query.paymentMethods : [req.query.paymentMethods]) : [],
-      dateRange: req.query.dateFrom && req.query.dateTo ? [req.query.dateFrom, req.query.dateTo] : null,
-    }
-
-    // Remove empty arrays
-    Object.keys(filters).forEach((key) => {
-      if (Array.isArray(filters[key]) && filters[key].length === 0) {
-        delete filters[key]
-      }
-      if (filters[key] === null) {
-        delete filters[key]
-      }
-    })
+    // Same filters and search as the transaction list
+    const filters = parseTransactionFilters(req.query)
+    const search = typeof req.query.search === "string" ? req.query.search.trim() : ""
 
-    const stats = await getStats(filters)
+    const stats = await getStats({ search, filters })
     res.json(stats)
   } catch (error) {
-    console.error("Error fetching stats:", error)
+    if (error instanceof FilterValidationError) {
+      return res.status(400).json({ message: error.message, errors: error.errors })
+    }
+    logger.error("Error fetching stats", { error })
     res.status(500).json({ message: "Failed to fetch statistics", error: error.message })
   }
 }
 
 /**
- * Upload and import CSV file
+ * Get per-day, per-week or per-month statistics
+ */
+export async function getTimeseriesHandler(req, res) {
+  try {
+    const { interval = "day" } = req.query
+
+    if (!TIMESERIES_INTERVALS.includes(interval)) {
+      return res.status(400).json({ message: `interval must be one of: ${TIMESERIES_INTERVALS.join(", ")}` })
+    }
+
+    // Same filters and search as the transaction list
+    const filters = parseTransactionFilters(req.query)
+    const search = typeof req.query.search === "string" ? req.query.search.trim() : ""
+
+    const timeseries = await getTimeseries({ search, filters, interval })
+    res.json(timeseries)
+  } catch (error) {
+    if (error instanceof FilterValidationError) {
+      return res.status(400).json({ message: error.message, errors: error.errors })
+    }
+    logger.error("Error fetching timeseries", { error })
+    res.status(500).json({ message: "Failed to fetch timeseries", error: error.message })
+  }
+}
+
+/**
+ * Get statistics grouped by one or more dimensions (top N plus an "other" bucket)
+ */
+export async function getBreakdownHandler(req, res) {
+  try {
+    const { params, errors } = validateBreakdownQuery(req.query)
+    if (errors.length > 0) {
+      return res.status(400).json({ message: "Invalid breakdown", errors })
+    }
+
+    // Same filters and search as the transaction list
+    const filters = parseTransactionFilters(req.query)
+    const search = typeof req.query.search === "string" ? req.query.search.trim() : ""
+
+    const breakdown = await getBreakdown({ search, filters, ...params })
+    res.json(breakdown)
+  } catch (error) {
+    if (error instanceof FilterValidationError) {
+      return res.status(400).json({ message: error.message, errors: error.errors })
+    }
+    logger.error("Error fetching breakdown", { error })
+    res.status(500).json({ message: "Failed to fetch breakdown", error: error.message })
+  }
+}
+
+/**
+ * Upload a CSV file and start importing it in the background
+ * With `?dryRun=true` the file is only validated and a preview is returned.
  */
 export async function uploadTransactionsHandler(req, res) {
   let uploadRecord = null
+  let jobStarted = false
   try {
     if (!req.file) {
       return res.status(400).json({ message: "No file uploaded" })
@@ -113,8 +233,36 @@ export async function uploadTransactionsHandler(req, res) {
       return res.status(400).json({ message: "Invalid file type. Please upload a CSV file." })
     }
 
-    // Get user email from request (if available)
-    const userEmail = req.user?.email || req.body?.userEmail || null
+    // Attribute the upload to the authenticated user
+    const userEmail = req.user?.email || null
+
+    // Column mapping: a saved profile ID, "auto" to detect one from the headers, or the defaults
+    const profileId = req.body?.profileId || null
+    if (profileId && profileId !== "auto" && !(await getImportProfile(profileId))) {
+      return res.status(400).json({ message: "Import profile not found" })
+    }
+
+    // What to do with rows whose transactionId already exists
+    const conflictMode = req.body?.conflictMode || "skip"
+    if (!CONFLICT_MODES.includes(conflictMode)) {
+      return res.status(400).json({ message: `conflictMode must be one of: ${CONFLICT_MODES.join(", ")}` })
+    }
+
+    // Dry run: validate the whole file and report, without writing anything
+    if (req.query.dryRun === "true") {
+      const profile = await resolveImportProfile(profileId, req.file.path)
+      const preview = await previewTransactionsFromCSV(req.file.path, { profile })
+      return res.json({
+        fileName: req.file.originalname,
+        fileSize: req.file.size,
+        ...preview,
+      })
+    }
+
+    // A job started now would be interrupted by the shutdown; the client retries on another instance
+    if (isShuttingDown()) {
+      return res.status(503).json({ message: "Server is shutting down, please retry the upload" })
+    }
 
     // Create upload record
     uploadRecord = await prisma.csvUpload.create({
@@ -126,30 +274,29 @@ export async function uploadTransactionsHandler(req, res) {
         failedRecords: 0,
         status: "processing",
         uploadedBy: userEmail,
+        profileId: profileId === "auto" ? null : profileId,
+        conflictMode,
       },
     })
 
-    const result = await importTransactionsFromBuffer(req.file.buffer)
-
-    // Update upload record with results
-    await prisma.csvUpload.update({
-      where: { id: uploadRecord.id },
-      data: {
-        totalRecords: result.totalRecords,
-        importedRecords: result.imported,
-        failedRecords: result.errors,
-        status: result.errors > 0 ? "completed" : "completed",
-        errorMessage: result.errors > 0 ? `${result.errors} records failed` : null,
-      },
+    // The job streams the temp file written by multer and deletes it when done
+    startImportJob({
+      uploadId: uploadRecord.id,
+      filePath: req.file.path,
+      fileSize: req.file.size,
+      profileId,
+      conflictMode,
     })
+    jobStarted = true
 
-    res.json({
-      message: "File uploaded and processed successfully",
+    res.status(202).json({
+      message: "File uploaded, import started",
       uploadId: uploadRecord.id,
-      ...result,
+      status: "processing",
+      progressUrl: `${req.baseUrl}/uploads/${uploadRecord.id}/progress`,
     })
   } catch (error) {
-    console.error("Error uploading transactions:", error)
+    logger.error("Error uploading transactions", { error })
     
     // Update upload record with error
     if (uploadRecord) {
@@ -159,14 +306,91 @@ export async function uploadTransactionsHandler(req, res) {
           data: {
             status: "failed",
             errorMessage: error.message,
+            completedAt: new Date(),
           },
         })
       } catch (updateError) {
-        console.error("Error updating upload record:", updateError)
+        logger.error("Error updating upload record", { error: updateError })
       }
     }
 
     res.status(500).json({ message: "Failed to upload transactions", error: error.message })
+  } finally {
+    // Remove the temp file written by multer unless the import job owns it
+    if (req.file?.path && !jobStarted) {
+      fs.promises.unlink(req.file.path).catch(() => {})
+    }
+  }
+}
+
+/**
+ * Get import progress for an upload
+ * Streams Server-Sent Events when the client accepts `text/event-stream`,
+ * otherwise returns a JSON snapshot for polling.
+ */
+export async function getUploadProgressHandler(req, res) {
+  try {
+    const { id } = req.params
+    const progress = await getImportProgress(id)
+
+    if (!progress) {
+      return res.status(404).json({ message: "Upload not found" })
+    }
+
+    // EventSource always sends `Accept: text/event-stream`
+    if (!req.get("Accept")?.includes("text/event-stream")) {
+      return res.json(progress)
+    }
+
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no", // Disable proxy buffering (nginx)
+    })
+
+    const send = (snapshot) => {
+      if (res.writableEnded) return
+      res.write(`event: progress\ndata: ${JSON.stringify(snapshot)}\n\n`)
+      if (snapshot.status !== "processing") {
+        res.write(`event: done\ndata: ${JSON.stringify(snapshot)}\n\n`)
+        cleanup()
+        res.end()
+      }
+    }
+
+    let unsubscribe = null
+    let pollTimer = null
+    // Comment lines keep idle connections open through proxies
+    const heartbeat = setInterval(() => res.write(": heartbeat\n\n"), 15 * 1000)
+
+    const cleanup = () => {
+      clearInterval(heartbeat)
+      if (pollTimer) clearInterval(pollTimer)
+      if (unsubscribe) unsubscribe()
+    }
+    req.on("close", cleanup)
+
+    unsubscribe = subscribeToImport(id, send)
+    if (!unsubscribe && progress.status === "processing") {
+      // Job runs in another process: follow the persisted progress instead
+      pollTimer = setInterval(async () => {
+        try {
+          const latest = await getImportProgress(id)
+          if (latest) send(latest)
+        } catch (error) {
+          logger.error("Error polling upload progress", { error })
+        }
+      }, 2000)
+    }
+
+    send(progress)
+  } catch (error) {
+    logger.error("Error fetching upload progress", { error })
+    if (res.headersSent) {
+      return res.end()
+    }
+    res.status(500).json({ message: "Failed to fetch upload progress", error: error.message })
   }
 }
 
@@ -191,8 +415,147 @@ export async function getUploadHistoryHandler(req, res) {
 
     res.json({ uploads: formattedUploads })
   } catch (error) {
-    console.error("Error fetching upload history:", error)
+    logger.error("Error fetching upload history", { error })
     res.status(500).json({ message: "Failed to fetch upload history", error: error.message })
   }
 }
 
+/**
+ * Get rejected rows for an upload
+ * Returns paginated JSON, or a downloadable CSV of the rejects with `?format=csv`
+ */
+export async function getUploadErrorsHandler(req, res) {
+  try {
+    const upload = await prisma.csvUpload.findUnique({ where: { id: req.params.id } })
+    if (!upload) {
+      return res.status(404).json({ message: "Upload not found" })
+    }
+
+    if (req.query.format === "csv") {
+      const baseName = path.basename(upload.fileName, path.extname(upload.fileName))
+      res.setHeader("Content-Type", "text/csv; charset=utf-8")
+      res.setHeader("Content-Disposition", `attachment; filename="${baseName.replace(/"/g, "")}-rejects.csv"`)
+      await writeUploadErrorsCsv(upload, res)
+      return
+    }
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1)
+    const pageSize = Math.min(Math.max(parseInt(req.query.pageSize, 10) || 50, 1), 500)
+    const result = await getUploadErrors(upload.id, { page, pageSize })
+
+    res.json({
+      uploadId: upload.id,
+      failedRecords: upload.failedRecords,
+      ...result,
+    })
+  } catch (error) {
+    logger.error("Error fetching upload errors", { error })
+    if (res.headersSent) {
+      return res.end()
+    }
+    res.status(500).json({ message: "Failed to fetch upload errors", error: error.message })
+  }
+}
+
+/**
+ * Roll back an upload, deleting exactly the transactions it created
+ */
+export async function rollbackUploadHandler(req, res) {
+  try {
+    const upload = await prisma.csvUpload.findUnique({ where: { id: req.params.id } })
+    if (!upload) {
+      return res.status(404).json({ message: "Upload not found" })
+    }
+
+    // Uploaders can undo their own uploads; anyone else's needs uploads:rollbackAny
+    if (upload.uploadedBy !== req.user.email && !hasPermission(req.user.role, "uploads:rollbackAny")) {
+      return res.status(403).json({ message: "You can only roll back your own uploads" })
+    }
+
+    if (upload.status === "processing") {
+      return res.status(409).json({ message: "Upload is still being imported" })
+    }
+    if (upload.status === "rolled_back") {
+      return res.status(409).json({ message: "Upload has already been rolled back" })
+    }
+
+    const result = await rollbackUpload(upload.id, req.user.email || null)
+
+    res.json({
+      message: "Upload rolled back",
+      uploadId: upload.id,
+      ...result,
+    })
+  } catch (error) {
+    logger.error("Error rolling back upload", { error })
+    res.status(500).json({ message: "Failed to roll back upload", error: error.message })
+  }
+}
+
+/**
+ * Get one transaction
+ */
+export async function getTransactionHandler(req, res) {
+  try {
+    const transaction = await getTransaction(req.params.transactionId)
+    if (!transaction) {
+      return res.status(404).json({ message: "Transaction not found" })
+    }
+    res.json({ transaction })
+  } catch (error) {
+    logger.error("Error fetching transaction", { error })
+    res.status(500).json({ message: "Failed to fetch transaction", error: error.message })
+  }
+}
+
+/**
+ * Change some fields of a transaction (recorded in its change history)
+ */
+export async function updateTransactionHandler(req, res) {
+  try {
+    const result = await updateTransaction(req.params.transactionId, req.body, req.user.email || null)
+    if (!result) {
+      return res.status(404).json({ message: "Transaction not found" })
+    }
+    res.json(result)
+  } catch (error) {
+    if (error instanceof TransactionValidationError) {
+      return res.status(400).json({ message: error.message, errors: error.errors })
+    }
+    logger.error("Error updating transaction", { error })
+    res.status(500).json({ message: "Failed to update transaction", error: error.message })
+  }
+}
+
+/**
+ * Delete a transaction (its values are kept in its change history)
+ */
+export async function deleteTransactionHandler(req, res) {
+  try {
+    const deleted = await deleteTransaction(req.params.transactionId, req.user.email || null)
+    if (!deleted) {
+      return res.status(404).json({ message: "Transaction not found" })
+    }
+    res.status(204).end()
+  } catch (error) {
+    logger.error("Error deleting transaction", { error })
+    res.status(500).json({ message: "Failed to delete transaction", error: error.message })
+  }
+}
+
+/**
+ * Get who changed which fields of a transaction, newest first
+ */
+export async function getTransactionHistoryHandler(req, res) {
+  try {
+    const { transactionId } = req.params
+    const history = await getTransactionHistory(transactionId)
+    if (history.length === 0 && !(await getTransaction(transactionId))) {
+      return res.status(404).json({ message: "Transaction not found" })
+    }
+    res.json({ transactionId, history })
+  } catch (error) {
+    logger.error("Error fetching transaction history", { error })
+    res.status(500).json({ message: "Failed to fetch transaction history", error: error.message })
+  }
+}
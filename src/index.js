@@ -1,11 +1,19 @@
 import "dotenv/config"
 import express from "express"
 import cors from "cors"
-import morgan from "morgan"
 import cookieParser from "cookie-parser"
 
 import authRoutes from "./routes/authRoutes.js"
 import transactionRoutes from "./routes/transactionRoutes.js"
+import customerRoutes from "./routes/customerRoutes.js"
+import healthRoutes from "./routes/healthRoutes.js"
+import { requireAuth, requirePermission } from "./middleware/authMiddleware.js"
+import { requestLogger } from "./middleware/requestMiddleware.js"
+import { handleShutdownSignals } from "./services/shutdownService.js"
+import { sweepStaleUploads } from "./services/importJobService.js"
+import { cache } from "./utils/cache.js"
+import { logger } from "./utils/logger.js"
+import { registry } from "./utils/metrics.js"
 
 const app = express()
 const PORT = process.env.PORT || 4000
@@ -28,22 +36,38 @@ app.use(cors({
       callback(new Error("Not allowed by CORS"))
     }
   },
-  credentials: true
+  credentials: true,
+  // Lets the frontend report the ID of a failed request
+  exposedHeaders: ["X-Request-Id"],
 }))
+app.use(requestLogger)
 app.use(cookieParser())
 app.use(express.json())
-app.use(morgan("dev"))
 
-app.get("/health", (_req, res) => res.json({ status: "ok" }))
+app.use("/health", healthRoutes)
 
-// Log all requests for debugging
-app.use((req, res, next) => {
-  console.log(`${req.method} ${req.path}`)
-  next()
+// Prometheus metrics; when METRICS_TOKEN is set, scrapers must send it as a bearer token
+app.get("/metrics", async (req, res) => {
+  if (process.env.METRICS_TOKEN && req.get("Authorization") !== `Bearer ${process.env.METRICS_TOKEN}`) {
+    return res.status(401).json({ message: "Metrics token is required" })
+  }
+  try {
+    res.set("Content-Type", registry.contentType)
+    res.send(await registry.metrics())
+  } catch (error) {
+    logger.error("Error collecting metrics", { error })
+    res.status(500).json({ message: "Failed to collect metrics", error: error.message })
+  }
 })
 
 app.use("/api/auth", authRoutes)
 app.use("/api/transactions", transactionRoutes)
+app.use("/api/customers", customerRoutes)
+
+// Cache hit/miss counters and store usage (admins only)
+app.get("/api/cache/metrics", requireAuth, requirePermission("users:manage"), async (_req, res) => {
+  res.json(await cache.getMetrics())
+})
 
 // 404 handler
 app.use((req, res) => {
@@ -52,15 +76,16 @@ app.use((req, res) => {
 
 // Global error handler (fallback)
 app.use((err, _req, res, _next) => {
-  // eslint-disable-next-line no-console
-  console.error(err)
+  logger.error("Unhandled error", { error: err })
   res.status(500).json({ message: "Internal server error" })
 })
 
-app.listen(PORT, () => {
-  // eslint-disable-next-line no-console
-  console.log(`API listening on http://localhost:${PORT}`)
+const server = app.listen(PORT, () => {
+  logger.info(`API listening on http://localhost:${PORT}`, { port: Number(PORT) })
 })
 
+handleShutdownSignals(server)
+sweepStaleUploads()
+
 
 
@@ -0,0 +1,82 @@
+import crypto from "crypto"
+import { getUser, getUserRole } from "../services/authService.js"
+import { cache } from "../utils/cache.js"
+import { hasPermission } from "../utils/roles.js"
+
+// How long a verified token is trusted before asking Supabase again (the role is never cached)
+const AUTH_CACHE_TTL = 60 * 1000 // 60 seconds
+
+/**
+ * Read the access token from the httpOnly cookie or the Authorization header
+ * @param {Object} req - Express request
+ * @returns {string|null} - Access token, if present
+ */
+export function getAccessToken(req) {
+  return req.cookies?.access_token ||
+    (req.headers.authorization?.startsWith("Bearer ")
+      ? req.headers.authorization.substring(7)
+      : null)
+}
+
+/**
+ * Cache key for a verified token (hashed so raw tokens are never held in memory)
+ */
+function getAuthCacheKey(accessToken) {
+  const tokenHash = crypto.createHash("sha256").update(accessToken).digest("hex")
+  return `auth:${tokenHash}`
+}
+
+/**
+ * Forget a cached token verification (e.g. after sign out)
+ * @param {string} accessToken - Access token
+ */
+export async function invalidateAuthCache(accessToken) {
+  await cache.delete(getAuthCacheKey(accessToken))
+}
+
+/**
+ * Require a valid access token and attach the user to `req.user`
+ * The role is read on every request, so a role change applies to the user's next request.
+ */
+export async function requireAuth(req, res, next) {
+  const accessToken = getAccessToken(req)
+
+  if (!accessToken) {
+    return res.status(401).json({ message: "Authorization token is required" })
+  }
+
+  const cacheKey = getAuthCacheKey(accessToken)
+
+  try {
+    let user = await cache.get(cacheKey)
+    if (!user) {
+      user = await getUser(accessToken)
+      await cache.set(cacheKey, user, { ttl: AUTH_CACHE_TTL })
+    }
+
+    req.user = { ...user, role: await getUserRole(user.id) }
+    req.accessToken = accessToken
+    return next()
+  } catch (err) {
+    return res.status(401).json({ message: err.message })
+  }
+}
+
+/**
+ * Require the authenticated user's role to grant a permission
+ * Must be used after `requireAuth`
+ * @param {string} permission - Permission key from utils/roles.js
+ */
+export function requirePermission(permission) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ message: "Authorization token is required" })
+    }
+
+    if (!hasPermission(req.user.role, permission)) {
+      return res.status(403).json({ message: "You do not have permission to perform this action" })
+    }
+
+    return next()
+  }
+}
@@ -0,0 +1,79 @@
+import crypto from "crypto"
+import { logger, withLogContext } from "../utils/logger.js"
+import { httpRequests, httpRequestDuration } from "../utils/metrics.js"
+import { isUuid } from "../utils/uuid.js"
+
+// Client-supplied request IDs are kept when they look like an ID, replaced otherwise
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/
+// Polled every few seconds by probes and scrapers: successful requests are logged at debug level
+const QUIET_PATHS = ["/health", "/metrics"]
+
+/**
+ * Give each request an ID, log it once it finishes and record its latency
+ * The ID comes from the X-Request-Id header (or is generated), is echoed in the
+ * response's X-Request-Id and is added to every log entry written while handling it.
+ */
+export function requestLogger(req, res, next) {
+  const incoming = req.get("X-Request-Id")
+  const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID()
+  const startedAt = process.hrtime.bigint()
+
+  req.id = requestId
+  res.setHeader("X-Request-Id", requestId)
+
+  let logged = false
+  const done = () => {
+    if (logged) return
+    logged = true
+
+    const durationSeconds = Number(process.hrtime.bigint() - startedAt) / 1e9
+    const route = routePattern(req)
+    // A response closed before it finished was aborted by the client
+    const status = res.writableFinished ? String(res.statusCode) : "aborted"
+
+    httpRequests.inc({ method: req.method, route, status })
+    httpRequestDuration.observe({ method: req.method, route, status }, durationSeconds)
+
+    const path = req.originalUrl.split("?")[0]
+    const quiet = QUIET_PATHS.some((prefix) => path === prefix || path.startsWith(`${prefix}/`))
+    const level = res.statusCode >= 500 ? "error" : res.statusCode >= 400 ? "warn" : quiet ? "debug" : "info"
+    logger[level]("Request completed", {
+      method: req.method,
+      path,
+      route,
+      status: res.writableFinished ? res.statusCode : "aborted",
+      durationMs: Math.round(durationSeconds * 10000) / 10,
+      userId: req.user?.id,
+    })
+  }
+  res.on("finish", done)
+  res.on("close", done)
+
+  withLogContext({ requestId }, next)
+}
+
+/**
+ * Route parameter handler answering 404 when the parameter is not a UUID
+ * Use with router.param for IDs of rows with UUID keys, so malformed IDs never reach a query.
+ * @param {string} message - Not-found message, e.g. "Upload not found"
+ * @returns {Function} - router.param callback
+ */
+export function requireUuidParam(message) {
+  return (req, res, next, value) => {
+    if (!isUuid(value)) {
+      return res.status(404).json({ message })
+    }
+    next()
+  }
+}
+
+/**
+ * Route pattern of a request (e.g. /api/transactions/:transactionId), never the raw URL
+ * Requests rejected before reaching a route are grouped under their router's path.
+ */
+function routePattern(req) {
+  if (req.route) {
+    return `${req.baseUrl}${req.route.path === "/" && req.baseUrl ? "" : req.route.path}`
+  }
+  return req.baseUrl ? `${req.baseUrl}/*` : "unmatched"
+}
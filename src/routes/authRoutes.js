@@ -1,5 +1,14 @@
 import { Router } from "express"
-import { handleSignIn, handleSignUp, handleGetUser, handleSignOut } from "../controllers/authController.js"
+import {
+  handleSignIn,
+  handleSignUp,
+  handleGetUser,
+  handleSignOut,
+  handleListUsers,
+  handleUpdateUserRole,
+} from "../controllers/authController.js"
+import { requireAuth, requirePermission } from "../middleware/authMiddleware.js"
+import { requireUuidParam } from "../middleware/requestMiddleware.js"
 
 const router = Router()
 
@@ -8,7 +17,9 @@ router.post("/login", handleSignIn)
 router.get("/me", handleGetUser)
 router.post("/logout", handleSignOut)
 
-export default router
-
-
+// Admin: manage user roles (user IDs are UUIDs)
+router.param("id", requireUuidParam("User not found"))
+router.get("/users", requireAuth, requirePermission("users:manage"), handleListUsers)
+router.patch("/users/:id/role", requireAuth, requirePermission("users:manage"), handleUpdateUserRole)
 
+export default router
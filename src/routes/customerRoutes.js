@@ -0,0 +1,17 @@
+import express from "express"
+import { getCustomersHandler, getCustomerHandler } from "../controllers/customerController.js"
+import { requireAuth, requirePermission } from "../middleware/authMiddleware.js"
+
+const router = express.Router()
+
+// Every customer route requires a signed-in user
+router.use(requireAuth)
+router.use(requirePermission("customers:read"))
+
+// List customers (search, sort by lifetime value, order count, last purchase)
+router.get("/", getCustomersHandler)
+
+// Customer profile with purchase history
+router.get("/:customerId", getCustomerHandler)
+
+export default router
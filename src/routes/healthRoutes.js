@@ -0,0 +1,15 @@
+import express from "express"
+import { livenessHandler, readinessHandler } from "../controllers/healthController.js"
+
+const router = express.Router()
+
+// Kept for existing health checks; same as /live
+router.get("/", livenessHandler)
+
+// Liveness probe: restart the process when this fails
+router.get("/live", livenessHandler)
+
+// Readiness probe: stop routing traffic here when this fails
+router.get("/ready", readinessHandler)
+
+export default router
@@ -0,0 +1,35 @@
+import express from "express"
+import {
+  listImportProfilesHandler,
+  getImportProfileHandler,
+  createImportProfileHandler,
+  updateImportProfileHandler,
+  deleteImportProfileHandler,
+  detectImportProfileHandler,
+} from "../controllers/importProfileController.js"
+import { requirePermission } from "../middleware/authMiddleware.js"
+import { requireUuidParam } from "../middleware/requestMiddleware.js"
+
+// Mounted under /api/transactions/import-profiles (authentication applied by the parent router)
+const router = express.Router()
+
+router.use(requirePermission("importProfiles:manage"))
+
+// Profile IDs are UUIDs
+router.param("id", requireUuidParam("Import profile not found"))
+
+// List profiles
+router.get("/", listImportProfilesHandler)
+
+// Suggest profiles for a header row
+router.post("/detect", detectImportProfileHandler)
+
+// Create profile
+router.post("/", createImportProfileHandler)
+
+// Get, update, delete profile
+router.get("/:id", getImportProfileHandler)
+router.put("/:id", updateImportProfileHandler)
+router.delete("/:id", deleteImportProfileHandler)
+
+export default router
@@ -1,37 +1,84 @@
 import express from "express"
 import multer from "multer"
+import os from "os"
 import {
   getTransactionsHandler,
+  exportTransactionsHandler,
   getFilterOptionsHandler,
   getStatsHandler,
+  getTimeseriesHandler,
+  getBreakdownHandler,
   uploadTransactionsHandler,
   getUploadHistoryHandler,
+  getUploadProgressHandler,
+  getUploadErrorsHandler,
+  rollbackUploadHandler,
+  getTransactionHandler,
+  updateTransactionHandler,
+  deleteTransactionHandler,
+  getTransactionHistoryHandler,
 } from "../controllers/transactionController.js"
+import { requireAuth, requirePermission } from "../middleware/authMiddleware.js"
+import { requireUuidParam } from "../middleware/requestMiddleware.js"
+import importProfileRoutes from "./importProfileRoutes.js"
 
 const router = express.Router()
 
-// Configure multer for file uploads (memory storage)
+// Configure multer for file uploads (disk storage, so large files never sit in memory)
 const upload = multer({
-  storage: multer.memoryStorage(),
+  dest: process.env.UPLOAD_DIR || os.tmpdir(),
   limits: {
     fileSize: 500 * 1024 * 1024, // 500MB limit
   },
 })
 
+// Every transaction route requires a signed-in user
+router.use(requireAuth)
+
+// Upload IDs are UUIDs
+router.param("id", requireUuidParam("Upload not found"))
+
+// CSV column-mapping profiles
+router.use("/import-profiles", importProfileRoutes)
+
 // Get transactions with filters, search, sort, pagination
-router.get("/", getTransactionsHandler)
+router.get("/", requirePermission("transactions:read"), getTransactionsHandler)
+
+// Export filtered transactions (CSV, NDJSON, XLSX)
+router.get("/export", requirePermission("transactions:export"), exportTransactionsHandler)
 
 // Get filter options
-router.get("/filters", getFilterOptionsHandler)
+router.get("/filters", requirePermission("transactions:read"), getFilterOptionsHandler)
 
 // Get statistics
-router.get("/stats", getStatsHandler)
+router.get("/stats", requirePermission("transactions:read"), getStatsHandler)
+
+// Get statistics per day, week or month
+router.get("/stats/timeseries", requirePermission("transactions:read"), getTimeseriesHandler)
+
+// Get statistics grouped by dimensions
+router.get("/stats/breakdown", requirePermission("transactions:read"), getBreakdownHandler)
 
 // Upload CSV file
-router.post("/upload", upload.single("file"), uploadTransactionsHandler)
+router.post("/upload", requirePermission("transactions:upload"), upload.single("file"), uploadTransactionsHandler)
 
 // Get upload history
-router.get("/uploads", getUploadHistoryHandler)
+router.get("/uploads", requirePermission("uploads:read"), getUploadHistoryHandler)
+
+// Get import progress (Server-Sent Events or JSON polling)
+router.get("/uploads/:id/progress", requirePermission("uploads:read"), getUploadProgressHandler)
+
+// Get rejected rows (JSON, or CSV download with ?format=csv)
+router.get("/uploads/:id/errors", requirePermission("uploads:read"), getUploadErrorsHandler)
+
+// Roll back an upload (delete the transactions it created)
+router.delete("/uploads/:id", requirePermission("uploads:rollback"), rollbackUploadHandler)
+
+// Single transactions (last, so the paths above are not taken as transaction IDs)
+router.get("/:transactionId", requirePermission("transactions:read"), getTransactionHandler)
+router.get("/:transactionId/history", requirePermission("transactions:read"), getTransactionHistoryHandler)
+router.patch("/:transactionId", requirePermission("transactions:edit"), updateTransactionHandler)
+router.delete("/:transactionId", requirePermission("transactions:delete"), deleteTransactionHandler)
 
 export default router
 
@@ -1,6 +1,8 @@
 import { supabase } from "../utils/supabaseClient.js"
 import { createClient } from "@supabase/supabase-js"
 import { prisma } from "../utils/prisma.js"
+import { DEFAULT_ROLE } from "../utils/roles.js"
+import { logger } from "../utils/logger.js"
 
 const FRONTEND_URL = process.env.FRONTEND_URL || "http://localhost:3001"
 const SUPABASE_URL = process.env.SUPABASE_URL
@@ -36,9 +38,9 @@ export async function signUp({ email, password, name }) {
           name: name || null
         }
       })
-      console.log(`✅ User ${data.user.id} saved to database successfully`)
+      logger.info("User saved to database", { userId: data.user.id })
     } catch (dbErr) {
-      console.error("❌ Error storing user in database:", dbErr)
+      logger.error("Error storing user in database", { userId: data.user.id, error: dbErr })
       // If it's a connection error, throw it so we know the database isn't set up
       if (dbErr.code === 'P1001' || dbErr.message?.includes('connect')) {
         throw new Error("Database connection failed. Please check your DATABASE_URL in .env file.")
@@ -106,20 +108,23 @@ export async function getUser(accessToken) {
         },
         // Also include name directly for backward compatibility
         name: dbUser.name || authUser.user_metadata?.name || null,
+        role: dbUser.role,
         createdAt: dbUser.createdAt,
         updatedAt: dbUser.updatedAt
       }
     }
   } catch (dbErr) {
-    console.error("Error fetching user from database:", dbErr)
+    logger.error("Error fetching user from database", { error: dbErr })
     // Fall back to auth user if database query fails
   }
 
   // Fallback: return auth user if database table doesn't exist or query fails
   // Ensure user_metadata exists even if it's empty
+  // Supabase sets `role` to "authenticated", so override it with our lowest role
   return {
     ...authUser,
-    user_metadata: authUser.user_metadata || {}
+    user_metadata: authUser.user_metadata || {},
+    role: DEFAULT_ROLE
   }
 }
 
@@ -147,5 +152,64 @@ export async function signOut(accessToken) {
   return { success: true }
 }
 
+/**
+ * Read a user's current role
+ * Falls back to the lowest role when the user has no row or the database cannot be read,
+ * like getUser.
+ * @param {string} userId - User ID
+ * @returns {Promise<string>} - Role
+ */
+export async function getUserRole(userId) {
+  try {
+    const dbUser = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { role: true },
+    })
+    return dbUser?.role ?? DEFAULT_ROLE
+  } catch (dbErr) {
+    logger.error("Error fetching user role from database", { error: dbErr })
+    return DEFAULT_ROLE
+  }
+}
 
+/**
+ * List users with their roles (admin only)
+ * @returns {Promise<Array>} - Users ordered by creation date
+ */
+export async function listUsers() {
+  return prisma.user.findMany({
+    select: {
+      id: true,
+      email: true,
+      name: true,
+      role: true,
+      createdAt: true,
+    },
+    orderBy: { createdAt: "asc" },
+  })
+}
+
+/**
+ * Change a user's role (admin only)
+ * @param {string} userId - User ID
+ * @param {string} role - New role
+ * @returns {Promise<Object|null>} - Updated user, or null if not found
+ */
+export async function updateUserRole(userId, role) {
+  const existing = await prisma.user.findUnique({ where: { id: userId } })
+  if (!existing) {
+    return null
+  }
 
+  return prisma.user.update({
+    where: { id: userId },
+    data: { role },
+    select: {
+      id: true,
+      email: true,
+      name: true,
+      role: true,
+      createdAt: true,
+    },
+  })
+}
@@ -1,225 +1,566 @@
 import { prisma } from "../utils/prisma.js"
-import { cache } from "../utils/cache.js"
-import { parse } from "csv-parse/sync"
-import { Readable } from "stream"
+import { invalidateTransactionCache, includeDate } from "../utils/transactionCache.js"
+import { parse } from "csv-parse"
+import { pipeline } from "stream/promises"
 import fs from "fs"
-import path from "path"
+import { resolveColumns, REQUIRED_IMPORT_FIELDS } from "./importProfileService.js"
+import { scheduleSearchTermsRefresh } from "./searchService.js"
+import { saveDimensions, toTransactionRecord } from "./dimensionService.js"
+import { TRANSACTION_FIELDS, validateTransactionInput, diffFields } from "../utils/transactionSchema.js"
+import { logger } from "../utils/logger.js"
+import { streamCsv } from "../utils/csvStream.js"
+
+const BATCH_SIZE = 1000 // Insert in batches of 1000 rows
+
+/**
+ * How rows whose transactionId already exists are handled
+ * - skip: keep the stored row
+ * - overwrite: replace every field with the incoming values
+ * - merge: update only the fields the incoming row has a value for
+ */
+export const CONFLICT_MODES = ["skip", "overwrite", "merge"]
+const MAX_STORED_REJECTS = 100000 // Rejected rows kept per upload; the rest are only counted
+
+const PREVIEW_SAMPLE_SIZE = 10 // Rows and rejects returned by a dry run
+const PREVIEW_ISSUE_EXAMPLES = 5 // Example messages kept per column in a dry run
+
+/**
+ * A row that cannot be imported; the message is stored as the reject reason
+ */
+class RowError extends Error {
+  constructor(issues) {
+    super(issues.map((issue) => issue.message).join("; "))
+    this.issues = issues
+  }
+}
 
 /**
  * Parse CSV file and import transactions in batches
  * @param {string} filePath - Path to CSV file
- * @param {Function} progressCallback - Callback for progress updates
+ * @param {Object} options - See importTransactionsFromStream
  * @returns {Promise<Object>} - Import results
  */
-export async function importTransactionsFromCSV(filePath, progressCallback = null) {
-  try {
-    // Read and parse CSV file
-    const fileContent = fs.readFileSync(filePath, "utf-8")
-    const records = parse(fileContent, {
-      columns: true,
-      skip_empty_lines: true,
-      trim: true,
+export async function importTransactionsFromCSV(filePath, options = {}) {
+  return importTransactionsFromStream(fs.createReadStream(filePath), options)
+}
+
+/**
+ * Import transactions from a readable CSV stream
+ * Rows are parsed as they arrive and inserted in batches; the parser is paused
+ * while a batch is being written, so memory stays bounded regardless of file size.
+ * @param {Readable} input - CSV byte stream
+ * @param {Object} options
+ * @param {string} options.uploadId - CsvUpload ID; when set, headers and rejected rows are stored against it
+ * @param {Object} options.profile - Import profile mapping source headers onto fields (defaults when null)
+ * @param {string} options.conflictMode - What to do with rows whose transactionId already exists (see CONFLICT_MODES)
+ * @param {Function} options.progressCallback - Progress callback
+ * @param {AbortSignal} options.signal - Stops the import before its next batch (rows already written stay);
+ *   the import then rejects with the signal's reason
+ * @returns {Promise<Object>} - Import results
+ */
+export async function importTransactionsFromStream(input, {
+  uploadId = null,
+  profile = null,
+  conflictMode = "skip",
+  progressCallback = null,
+  signal = null,
+} = {}) {
+  if (!CONFLICT_MODES.includes(conflictMode)) {
+    throw new Error(`Unknown conflict mode: ${conflictMode}`)
+  }
+
+  let totalRecords = 0
+  let errors = 0
+  let storedRejects = 0
+  const counts = { inserted: 0, updated: 0, unchanged: 0, skipped: 0 }
+  let headers = []
+  let resolved = null
+  let headersSaved = false
+  let batch = []
+  // Dates of the transactions written, for cache invalidation
+  const changed = { from: null, to: null, all: false }
+
+  const saveRejects = async (rejects) => {
+    if (!uploadId || rejects.length === 0 || storedRejects >= MAX_STORED_REJECTS) return
+
+    const toStore = rejects.slice(0, MAX_STORED_REJECTS - storedRejects)
+    storedRejects += toStore.length
+    await prisma.csvUploadError.createMany({
+      data: toStore.map((reject) => ({
+        uploadId,
+        lineNumber: reject.lineNumber,
+        rawData: reject.record ?? {},
+        rawLine: reject.rawLine,
+        reason: reject.reason,
+      })),
     })
+  }
 
-    const totalRecords = records.length
-    let imported = 0
-    let errors = 0
-    const batchSize = 1000 // Process in batches of 1000
-
-    // Process in batches to avoid memory issues
-    for (let i = 0; i < totalRecords; i += batchSize) {
-      const batch = records.slice(i, i + batchSize)
-      const transactionData = batch.map((record) => {
-        try {
-          return {
-            transactionId: record["Transaction ID"] || record["transaction_id"] || record["TransactionID"],
-            date: parseDate(record["Date"] || record["date"]),
-            customerId: record["Customer ID"] || record["customer_id"] || record["CustomerID"],
-            customerName: record["Customer Name"] || record["customer_name"] || record["CustomerName"],
-            phoneNumber: record["Phone Number"] || record["phone_number"] || record["PhoneNumber"],
-            gender: record["Gender"] || record["gender"],
-            age: parseInt(record["Age"] || record["age"] || "0", 10),
-            customerRegion: record["Customer Region"] || record["customer_region"] || record["CustomerRegion"],
-            customerType: record["Customer Type"] || record["customer_type"] || record["CustomerType"] || null,
-            productId: record["Product ID"] || record["product_id"] || record["ProductID"],
-            productName: record["Product Name"] || record["product_name"] || record["ProductName"] || null,
-            brand: record["Brand"] || record["brand"] || null,
-            productCategory: record["Product Category"] || record["product_category"] || record["ProductCategory"],
-            tags: record["Tags"] || record["tags"] || null,
-            quantity: parseInt(record["Quantity"] || record["quantity"] || "0", 10),
-            pricePerUnit: parseFloat(record["Price per Unit"] || record["price_per_unit"] || record["PricePerUnit"] || "0"),
-            discountPercentage: parseFloat(record["Discount Percentage"] || record["discount_percentage"] || record["DiscountPercentage"] || "0"),
-            totalAmount: parseFloat(record["Total Amount"] || record["total_amount"] || record["TotalAmount"] || "0"),
-            finalAmount: parseFloat(record["Final Amount"] || record["final_amount"] || record["FinalAmount"] || "0"),
-            paymentMethod: record["Payment Method"] || record["payment_method"] || record["PaymentMethod"],
-            orderStatus: record["Order Status"] || record["order_status"] || record["OrderStatus"] || null,
-            deliveryType: record["Delivery Type"] || record["delivery_type"] || record["DeliveryType"] || null,
-            storeId: record["Store ID"] || record["store_id"] || record["StoreID"] || null,
-            storeLocation: record["Store Location"] || record["store_location"] || record["StoreLocation"] || null,
-            salespersonId: record["Salesperson ID"] || record["salesperson_id"] || record["SalespersonID"] || null,
-            employeeName: record["Employee Name"] || record["employee_name"] || record["EmployeeName"],
-          }
-        } catch (error) {
-          console.error(`Error parsing record ${i}:`, error.message)
-          return null
-        }
-      }).filter((item) => item !== null)
+  // Insert new rows and apply the conflict mode to rows that already exist
+  const writeRows = async (valid, rejects) => {
+    // Collapse repeated IDs within the batch as if the earlier row were already stored
+    const byId = new Map()
+    for (const row of valid) {
+      const earlier = byId.get(row.data.transactionId)
+      if (!earlier) {
+        byId.set(row.data.transactionId, row)
+        continue
+      }
+      const changes = diffTransaction(earlier.data, row.data, conflictMode)
+      if (changes === null) {
+        counts.skipped++
+      } else if (Object.keys(changes).length === 0) {
+        counts.unchanged++
+      } else {
+        Object.assign(earlier.data, changes)
+        counts.updated++
+      }
+    }
+    const unique = [...byId.values()]
+
+    const existingRows = await prisma.transactionDetail.findMany({
+      where: { transactionId: { in: unique.map((row) => row.data.transactionId) } },
+      select: Object.fromEntries(TRANSACTION_FIELDS.map((field) => [field, true])),
+    })
+    const existingById = new Map(existingRows.map((row) => [row.transactionId, row]))
+
+    const toInsert = []
+    const toUpdate = []
+    for (const row of unique) {
+      const existing = existingById.get(row.data.transactionId)
+      if (!existing) {
+        toInsert.push(row)
+        continue
+      }
+
+      const changes = diffTransaction(existing, row.data, conflictMode)
+      if (changes === null) {
+        counts.skipped++
+      } else if (Object.keys(changes).length === 0) {
+        counts.unchanged++
+      } else {
+        toUpdate.push(row)
+      }
+    }
+
+    // Rows that are written create or update their customer, product, store and employee
+    const written = [...toInsert, ...toUpdate].sort((a, b) => a.lineNumber - b.lineNumber)
+    if (written.length === 0) return
+    const merge = conflictMode !== "overwrite"
+    const keys = await saveDimensions(written.map((row) => row.data), { merge })
+    if (keys.updated) {
+      changed.all = true
+    }
+    for (const row of written) {
+      includeDate(changed, row.data.date)
+      const existing = existingById.get(row.data.transactionId)
+      if (existing) includeDate(changed, existing.date)
+    }
 
-      // Use createMany with skipDuplicates to handle duplicates
+    if (toInsert.length > 0) {
+      // skipDuplicates covers rows inserted concurrently since the lookup above
       try {
-        await prisma.transaction.createMany({
-          data: transactionData,
+        const { count } = await prisma.transaction.createMany({
+          data: toInsert.map((row) => ({ ...toTransactionRecord(row.data, keys), uploadId })),
           skipDuplicates: true,
         })
-        imported += transactionData.length
+        counts.inserted += count
+        counts.skipped += toInsert.length - count
       } catch (error) {
-        console.error(`Error inserting batch starting at ${i}:`, error.message)
-        errors += batch.length
+        // Retry row by row so only the rows the database refuses are rejected
+        for (const row of toInsert) {
+          try {
+            const { count } = await prisma.transaction.createMany({
+              data: [{ ...toTransactionRecord(row.data, keys), uploadId }],
+              skipDuplicates: true,
+            })
+            counts.inserted += count
+            counts.skipped += 1 - count
+          } catch (rowError) {
+            rejects.push({ ...row, reason: `Database constraint: ${describeDbError(rowError)}` })
+          }
+        }
       }
+    }
 
-      // Report progress
-      if (progressCallback) {
-        progressCallback({
-          processed: Math.min(i + batchSize, totalRecords),
-          total: totalRecords,
-          imported,
-          errors,
-        })
+    if (toUpdate.length > 0) {
+      const updateRow = (row) => prisma.transaction.update({
+        where: { transactionId: row.data.transactionId },
+        data: toTransactionRecord(row.data, keys, { merge }),
+      })
+
+      try {
+        await prisma.$transaction(toUpdate.map(updateRow))
+        counts.updated += toUpdate.length
+      } catch (error) {
+        for (const row of toUpdate) {
+          try {
+            await updateRow(row)
+            counts.updated++
+          } catch (rowError) {
+            rejects.push({ ...row, reason: `Database constraint: ${describeDbError(rowError)}` })
+          }
+        }
+      }
+    }
+  }
+
+  const flushBatch = async () => {
+    signal?.throwIfAborted()
+    if (batch.length === 0) return
+
+    const rows = batch
+    batch = []
+
+    if (uploadId && !headersSaved) {
+      headersSaved = true
+      await prisma.csvUpload.update({ where: { id: uploadId }, data: { headers } })
+    }
+
+    const valid = []
+    const rejects = []
+    for (const row of rows) {
+      if (row.malformed) {
+        rejects.push({ ...row, reason: row.malformed })
+        continue
+      }
+      try {
+        valid.push({ ...row, data: mapRecord(row.record, resolved) })
+      } catch (error) {
+        if (!(error instanceof RowError)) throw error
+        rejects.push({ ...row, reason: error.message })
       }
     }
 
-    // Clear stats cache after importing new data
-    cache.clear()
+    if (valid.length > 0) {
+      await writeRows(valid, rejects)
+    }
+
+    errors += rejects.length
+    await saveRejects(rejects)
+
+    if (progressCallback) {
+      progressCallback({
+        processed: totalRecords,
+        imported: counts.inserted + counts.updated,
+        ...counts,
+        errors,
+        bytesRead: input.bytesRead ?? null,
+      })
+    }
+  }
+
+  try {
+    await readRecords(
+      input,
+      (header) => {
+        headers = header
+        resolved = resolveColumns(header, profile)
+      },
+      async (row) => {
+        totalRecords++
+        batch.push(row)
+        if (batch.length >= BATCH_SIZE) {
+          await flushBatch()
+        }
+      }
+    )
+    await flushBatch()
+
+    // Drop cached results for the imported dates and pick up new search words
+    await invalidateTransactionCache(changed)
+    scheduleSearchTermsRefresh()
 
     return {
       success: true,
       totalRecords,
-      imported,
+      imported: counts.inserted + counts.updated,
+      ...counts,
       errors,
     }
   } catch (error) {
-    console.error("CSV Import Error:", error)
-    throw error
+    if (!signal?.aborted) {
+      logger.error("Error importing CSV", { error })
+    }
+    // Rows written before the failure stay
+    await invalidateTransactionCache(changed)
+    scheduleSearchTermsRefresh()
+    // The stream pipeline reports an abort as its own AbortError
+    throw signal?.aborted ? signal.reason : error
   }
 }
 
 /**
- * Parse date from various formats
- * @param {string} dateStr - Date string
- * @returns {Date} - Parsed date
+ * Validate a CSV file without writing anything (dry run)
+ * The whole file is parsed and every row validated, but only counts and small samples are kept.
+ * @param {string} filePath - Path to CSV file
+ * @param {Object} options
+ * @param {Object} options.profile - Import profile (defaults when null)
+ * @returns {Promise<Object>} - Counts, detected column mapping, sample rows and per-column issues
+ *   (rows the parser could not read, e.g. with the wrong number of columns, count as malformedRecords)
  */
-function parseDate(dateStr) {
-  if (!dateStr) return new Date()
-
-  // Handle DD-MM-YYYY format
-  if (dateStr.includes("-")) {
-    const parts = dateStr.split("-")
-    if (parts.length === 3) {
-      // DD-MM-YYYY
-      if (parts[0].length === 2) {
-        return new Date(`${parts[2]}-${parts[1]}-${parts[0]}`)
+export async function previewTransactionsFromCSV(filePath, { profile = null } = {}) {
+  let headers = []
+  let resolved = null
+  let totalRecords = 0
+  let validRecords = 0
+  let malformedRecords = 0
+  const sampleRows = []
+  const sampleRejects = []
+  const columnIssues = {}
+
+  await readRecords(
+    fs.createReadStream(filePath),
+    (header) => {
+      headers = header
+      resolved = resolveColumns(header, profile)
+    },
+    async ({ record, lineNumber, rawLine, malformed }) => {
+      totalRecords++
+      if (malformed) {
+        malformedRecords++
+        if (sampleRejects.length < PREVIEW_SAMPLE_SIZE) {
+          sampleRejects.push({ lineNumber, reason: malformed, rawData: record, rawLine })
+        }
+        return
+      }
+      try {
+        const data = mapRecord(record, resolved)
+        validRecords++
+        if (sampleRows.length < PREVIEW_SAMPLE_SIZE) {
+          sampleRows.push({ lineNumber, ...data })
+        }
+      } catch (error) {
+        if (!(error instanceof RowError)) throw error
+        if (sampleRejects.length < PREVIEW_SAMPLE_SIZE) {
+          sampleRejects.push({ lineNumber, reason: error.message, rawData: record, rawLine })
+        }
+        for (const { field, message } of error.issues) {
+          const entry = columnIssues[field] || (columnIssues[field] = { count: 0, examples: [] })
+          entry.count++
+          if (entry.examples.length < PREVIEW_ISSUE_EXAMPLES) {
+            entry.examples.push({ lineNumber, message })
+          }
+        }
       }
-      // YYYY-MM-DD
-      return new Date(dateStr)
     }
-  }
+  )
+
+  const columns = resolved?.columns || {}
+  const defaults = resolved?.defaults || {}
+  const mappedHeaders = new Set(Object.values(columns).filter(Boolean))
 
-  // Handle other formats
-  const date = new Date(dateStr)
-  if (isNaN(date.getTime())) {
-    return new Date()
+  return {
+    dryRun: true,
+    profile: profile ? { id: profile.id, name: profile.name } : null,
+    totalRecords,
+    validRecords,
+    invalidRecords: totalRecords - validRecords,
+    malformedRecords,
+    headers,
+    columnMapping: columns,
+    defaults,
+    unmappedHeaders: headers.filter((header) => !mappedHeaders.has(header)),
+    missingRequiredFields: REQUIRED_IMPORT_FIELDS.filter((field) => !columns[field] && defaults[field] === undefined),
+    columnIssues,
+    sampleRows,
+    sampleRejects,
   }
-  return date
 }
 
 /**
- * Import from uploaded file buffer
- * @param {Buffer} fileBuffer - File buffer
- * @param {Function} progressCallback - Progress callback
- * @returns {Promise<Object>} - Import results
+ * Roll back an upload: delete the transactions it created and mark it rolled back
+ * Rows the upload updated (overwrite/merge) were created by earlier uploads and are kept.
+ * @param {string} uploadId - CsvUpload ID
+ * @param {string|null} rolledBackBy - Email of the user rolling back
+ * @returns {Promise<Object>} - { deletedRecords }
  */
-export async function importTransactionsFromBuffer(fileBuffer, progressCallback = null) {
-  try {
-    const records = parse(fileBuffer.toString("utf-8"), {
-      columns: true,
-      skip_empty_lines: true,
-      trim: true,
+export async function rollbackUpload(uploadId, rolledBackBy = null) {
+  const { deletedRecords, dates } = await prisma.$transaction(async (tx) => {
+    const dates = await tx.transaction.aggregate({ where: { uploadId }, _min: { date: true }, _max: { date: true } })
+    const { count } = await tx.transaction.deleteMany({ where: { uploadId } })
+    await tx.csvUpload.update({
+      where: { id: uploadId },
+      data: {
+        status: "rolled_back",
+        rolledBackAt: new Date(),
+        rolledBackBy,
+      },
     })
+    return { deletedRecords: count, dates }
+  }, {
+    timeout: 5 * 60 * 1000, // Large uploads can take a while to delete
+  })
 
-    const totalRecords = records.length
-    let imported = 0
-    let errors = 0
-    const batchSize = 1000
-
-    for (let i = 0; i < totalRecords; i += batchSize) {
-      const batch = records.slice(i, i + batchSize)
-      const transactionData = batch.map((record) => {
-        try {
-          return {
-            transactionId: record["Transaction ID"] || record["transaction_id"] || record["TransactionID"],
-            date: parseDate(record["Date"] || record["date"]),
-            customerId: record["Customer ID"] || record["customer_id"] || record["CustomerID"],
-            customerName: record["Customer Name"] || record["customer_name"] || record["CustomerName"],
-            phoneNumber: record["Phone Number"] || record["phone_number"] || record["PhoneNumber"],
-            gender: record["Gender"] || record["gender"],
-            age: parseInt(record["Age"] || record["age"] || "0", 10),
-            customerRegion: record["Customer Region"] || record["customer_region"] || record["CustomerRegion"],
-            customerType: record["Customer Type"] || record["customer_type"] || record["CustomerType"] || null,
-            productId: record["Product ID"] || record["product_id"] || record["ProductID"],
-            productName: record["Product Name"] || record["product_name"] || record["ProductName"] || null,
-            brand: record["Brand"] || record["brand"] || null,
-            productCategory: record["Product Category"] || record["product_category"] || record["ProductCategory"],
-            tags: record["Tags"] || record["tags"] || null,
-            quantity: parseInt(record["Quantity"] || record["quantity"] || "0", 10),
-            pricePerUnit: parseFloat(record["Price per Unit"] || record["price_per_unit"] || record["PricePerUnit"] || "0"),
-            discountPercentage: parseFloat(record["Discount Percentage"] || record["discount_percentage"] || record["DiscountPercentage"] || "0"),
-            totalAmount: parseFloat(record["Total Amount"] || record["total_amount"] || record["TotalAmount"] || "0"),
-            finalAmount: parseFloat(record["Final Amount"] || record["final_amount"] || record["FinalAmount"] || "0"),
-            paymentMethod: record["Payment Method"] || record["payment_method"] || record["PaymentMethod"],
-            orderStatus: record["Order Status"] || record["order_status"] || record["OrderStatus"] || null,
-            deliveryType: record["Delivery Type"] || record["delivery_type"] || record["DeliveryType"] || null,
-            storeId: record["Store ID"] || record["store_id"] || record["StoreID"] || null,
-            storeLocation: record["Store Location"] || record["store_location"] || record["StoreLocation"] || null,
-            salespersonId: record["Salesperson ID"] || record["salesperson_id"] || record["SalespersonID"] || null,
-            employeeName: record["Employee Name"] || record["employee_name"] || record["EmployeeName"],
-          }
-        } catch (error) {
-          return null
-        }
-      }).filter((item) => item !== null)
+  // Drop cached results for the deleted dates and drop search words after removing data
+  await invalidateTransactionCache({ from: dates._min.date, to: dates._max.date })
+  scheduleSearchTermsRefresh()
 
-      try {
-        await prisma.transaction.createMany({
-          data: transactionData,
-          skipDuplicates: true,
-        })
-        imported += transactionData.length
-      } catch (error) {
-        errors += batch.length
-      }
+  return { deletedRecords }
+}
 
-      if (progressCallback) {
-        progressCallback({
-          processed: Math.min(i + batchSize, totalRecords),
-          total: totalRecords,
-          imported,
-          errors,
-        })
-      }
-    }
+/**
+ * Stream-parse CSV records, pausing the parser while each record is handled
+ * A row with a different number of columns than the header, or that cannot be parsed (e.g. a
+ * stray quote), is passed on with `malformed` set to the reason instead of failing the file.
+ * @param {Readable} input - CSV byte stream
+ * @param {Function} onHeaders - Called once with the header row
+ * @param {Function} onRecord - Async callback ({ record, lineNumber, rawLine, malformed }); record is
+ *   null for rows that could not be parsed
+ */
+async function readRecords(input, onHeaders, onRecord) {
+  let columnCount = 0
+  const parser = parse({
+    columns: (header) => {
+      columnCount = header.length
+      onHeaders(header)
+      return header
+    },
+    skip_empty_lines: true,
+    trim: true,
+    info: true,
+    raw: true,
+    relax_column_count: true,
+    skip_records_with_error: true,
+  })
 
-    // Clear stats cache after importing new data
-    cache.clear()
+  // Parse errors are reported when the parser skips the row, possibly ahead of buffered records,
+  // so hand them on in line order
+  const skipped = []
+  parser.on("skip", (error) => {
+    skipped.push({ record: null, lineNumber: error.lines, rawLine: rawText(error.raw), malformed: error.message })
+  })
+  const flushSkipped = async (beforeLine = Infinity) => {
+    while (skipped.length > 0 && skipped[0].lineNumber < beforeLine) await onRecord(skipped.shift())
+  }
 
-    return {
-      success: true,
-      totalRecords,
-      imported,
-      errors,
+  await pipeline(input, parser, async (records) => {
+    for await (const { record, raw, info } of records) {
+      await flushSkipped(info.lines)
+      const malformed = info.error?.code === "CSV_RECORD_INCONSISTENT_COLUMNS"
+        ? `Wrong number of columns (the header has ${columnCount})`
+        : null
+      await onRecord({ record, lineNumber: info.lines, rawLine: rawText(raw), malformed })
     }
-  } catch (error) {
-    console.error("CSV Import Error:", error)
-    throw error
+    await flushSkipped()
+  })
+}
+
+function rawText(raw) {
+  return raw?.replace(/\r?\n$/, "") ?? null
+}
+
+/**
+ * Get rejected rows for an upload
+ * @param {string} uploadId - CsvUpload ID
+ * @param {Object} params - Pagination
+ * @returns {Promise<Object>} - Rejected rows and pagination metadata
+ */
+export async function getUploadErrors(uploadId, { page = 1, pageSize = 50 } = {}) {
+  const where = { uploadId }
+  const [rows, totalCount] = await Promise.all([
+    prisma.csvUploadError.findMany({
+      where,
+      orderBy: { lineNumber: "asc" },
+      skip: (page - 1) * pageSize,
+      take: pageSize,
+      select: {
+        lineNumber: true,
+        reason: true,
+        rawData: true,
+        rawLine: true,
+      },
+    }),
+    prisma.csvUploadError.count({ where }),
+  ])
+
+  return {
+    errors: rows,
+    pagination: {
+      page,
+      pageSize,
+      totalCount,
+      totalPages: Math.ceil(totalCount / pageSize),
+    },
+  }
+}
+
+/**
+ * Write rejected rows as CSV, in the original column order plus the reject reason
+ * The file can be corrected and uploaded again as-is; the extra columns are ignored on import.
+ * @param {Object} upload - CsvUpload record
+ * @param {Writable} output - Destination stream (e.g. the HTTP response)
+ */
+export async function writeUploadErrorsCsv(upload, output) {
+  await streamCsv(iterateUploadErrors(upload.id), output, {
+    columns: [...upload.headers, "Reject Reason", "Source Line"],
+    formatRow: (row) => [...upload.headers.map((header) => row.rawData?.[header] ?? ""), row.reason, row.lineNumber],
+  })
+}
+
+/**
+ * Read an upload's rejected rows in line order, in batches
+ */
+async function* iterateUploadErrors(uploadId) {
+  let cursor = null
+  while (true) {
+    const rows = await prisma.csvUploadError.findMany({
+      where: { uploadId },
+      orderBy: [{ lineNumber: "asc" }, { id: "asc" }],
+      take: BATCH_SIZE,
+      ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {}),
+    })
+    if (rows.length === 0) return
+
+    yield rows
+
+    if (rows.length < BATCH_SIZE) return
+    cursor = rows[rows.length - 1].id
   }
 }
 
+/**
+ * Map a parsed CSV record onto Transaction fields and validate it
+ * @param {Object} record - CSV row keyed by header
+ * @param {Object} resolved - Column resolution from resolveColumns()
+ * @returns {Object} - Transaction data
+ * @throws {RowError} - With every problem found in the row
+ */
+function mapRecord(record, resolved) {
+  const input = {}
+  for (const field of TRANSACTION_FIELDS) {
+    // Cell value for a field, then the profile default
+    const header = resolved.columns[field]
+    const value = header ? record[header] : undefined
+    input[field] = value !== undefined && value !== "" ? value : resolved.defaults[field]
+  }
+
+  const { data, issues } = validateTransactionInput(input)
+  if (issues.length > 0) {
+    throw new RowError(issues)
+  }
+  return data
+}
+
+/**
+ * Work out which fields an incoming row would change on an existing one
+ * @param {Object} existing - Stored row (Prisma values)
+ * @param {Object} incoming - Validated incoming row
+ * @param {string} conflictMode - Conflict mode
+ * @returns {Object|null} - Changed fields (empty when identical), or null when the row is skipped
+ */
+function diffTransaction(existing, incoming, conflictMode) {
+  if (conflictMode === "skip") {
+    return null
+  }
+
+  return diffFields(existing, incoming, TRANSACTION_FIELDS, { merge: conflictMode === "merge" })
+}
+
+/**
+ * Shorten a Prisma error to its most useful line
+ */
+function describeDbError(error) {
+  const lines = String(error.message).split("\n").map((line) => line.trim()).filter(Boolean)
+  return lines[lines.length - 1] || "Insert failed"
+}
@@ -0,0 +1,247 @@
+import { prisma } from "../utils/prisma.js"
+import { Prisma } from "@prisma/client"
+
+/**
+ * Customer profiles (name, phone, gender, age, region, type) come from the customers
+ * table; order counts, lifetime value and purchase dates are computed from their
+ * transactions. Customers without transactions are not listed.
+ */
+
+// Sort field -> SQL expression over the per-customer aggregates
+export const CUSTOMER_SORT_FIELDS = {
+  lifetimeValue: Prisma.sql`"lifetimeValue"`,
+  orderCount: Prisma.sql`"orderCount"`,
+  lastPurchase: Prisma.sql`"lastPurchase"`,
+  firstPurchase: Prisma.sql`"firstPurchase"`,
+}
+
+const FAVOURITES_LIMIT = 3
+const MAX_PAGE_SIZE = 100
+
+/**
+ * Validate customer list/history query parameters
+ * @param {Object} query - { page, pageSize, sortBy, sortOrder } from the query string
+ * @returns {Object} - { params: { page, pageSize, sortBy, sortOrder }, errors }
+ */
+export function validateCustomerQuery({ page = "1", pageSize = "10", sortBy = "lifetimeValue", sortOrder = "desc" }) {
+  const errors = []
+
+  const parsedPage = Number(page)
+  if (!Number.isInteger(parsedPage) || parsedPage < 1) {
+    errors.push("page must be a whole number of at least 1")
+  }
+  const parsedPageSize = Number(pageSize)
+  if (!Number.isInteger(parsedPageSize) || parsedPageSize < 1 || parsedPageSize > MAX_PAGE_SIZE) {
+    errors.push(`pageSize must be a whole number between 1 and ${MAX_PAGE_SIZE}`)
+  }
+  if (!CUSTOMER_SORT_FIELDS[sortBy]) {
+    errors.push(`sortBy must be one of: ${Object.keys(CUSTOMER_SORT_FIELDS).join(", ")}`)
+  }
+  if (!["asc", "desc"].includes(sortOrder)) {
+    errors.push("sortOrder must be asc or desc")
+  }
+
+  return {
+    params: { page: parsedPage, pageSize: parsedPageSize, sortBy, sortOrder },
+    errors,
+  }
+}
+
+/**
+ * List customers with lifetime totals
+ * @param {Object} params - { page, pageSize, search, sortBy, sortOrder }
+ * @returns {Promise<Object>} - Customers and pagination metadata
+ */
+export async function getCustomers({
+  page = 1,
+  pageSize = 10,
+  search = "",
+  sortBy = "lifetimeValue",
+  sortOrder = "desc",
+}) {
+  const where = buildCustomerSearchSql(search)
+  const direction = Prisma.raw(sortOrder === "asc" ? "ASC" : "DESC")
+
+  const [rows, [{ totalCount }]] = await Promise.all([
+    prisma.$queryRaw`
+      WITH "totals" AS (
+        SELECT
+          t."customerId",
+          count(*)::int AS "orderCount",
+          sum(t."quantity")::bigint AS "units",
+          sum(t."finalAmount") AS "lifetimeValue",
+          min(t."date") AS "firstPurchase",
+          max(t."date") AS "lastPurchase"
+        FROM "transactions" AS t
+        JOIN "customers" AS c ON c."customerId" = t."customerId"
+        WHERE ${where}
+        GROUP BY t."customerId"
+      )
+      SELECT c.*, "totals".*
+      FROM "totals"
+      JOIN "customers" AS c ON c."customerId" = "totals"."customerId"
+      ORDER BY ${CUSTOMER_SORT_FIELDS[sortBy]} ${direction}, "totals"."customerId" ASC
+      LIMIT ${pageSize} OFFSET ${(page - 1) * pageSize}
+    `,
+    prisma.$queryRaw`
+      SELECT count(*)::int AS "totalCount"
+      FROM "customers" AS c
+      WHERE ${where} AND EXISTS (SELECT 1 FROM "transactions" AS t WHERE t."customerId" = c."customerId")
+    `,
+  ])
+
+  return {
+    customers: rows.map((row) => ({
+      customerId: row.customerId,
+      customerName: row.customerName,
+      phoneNumber: row.phoneNumber,
+      gender: row.gender,
+      age: row.age,
+      customerRegion: row.customerRegion,
+      customerType: row.customerType,
+      orderCount: row.orderCount,
+      units: Number(row.units),
+      lifetimeValue: Number(row.lifetimeValue),
+      firstPurchase: formatDate(row.firstPurchase),
+      lastPurchase: formatDate(row.lastPurchase),
+    })),
+    pagination: {
+      page,
+      pageSize,
+      totalCount,
+      totalPages: Math.ceil(totalCount / pageSize),
+    },
+  }
+}
+
+/**
+ * Get one customer's profile, lifetime value, favourites and purchase history
+ * @param {string} customerId - Customer ID
+ * @param {Object} params - { page, pageSize } for the purchase history
+ * @returns {Promise<Object|null>} - Customer, or null if there are no transactions for the ID
+ */
+export async function getCustomer(customerId, { page = 1, pageSize = 10 } = {}) {
+  const where = { customerId }
+
+  const [customer, totals, categories, paymentMethods, purchases] = await Promise.all([
+    prisma.customer.findUnique({
+      where,
+      select: {
+        customerName: true,
+        phoneNumber: true,
+        gender: true,
+        age: true,
+        customerRegion: true,
+        customerType: true,
+      },
+    }),
+    prisma.transaction.aggregate({
+      where,
+      _count: { _all: true },
+      _sum: { quantity: true, totalAmount: true, finalAmount: true },
+      _min: { date: true },
+      _max: { date: true },
+    }),
+    prisma.transactionDetail.groupBy({
+      by: ["productCategory"],
+      where,
+      _count: { _all: true },
+      _sum: { finalAmount: true },
+      orderBy: [{ _count: { productCategory: "desc" } }, { _sum: { finalAmount: "desc" } }],
+      take: FAVOURITES_LIMIT,
+    }),
+    prisma.transaction.groupBy({
+      by: ["paymentMethod"],
+      where,
+      _count: { _all: true },
+      _sum: { finalAmount: true },
+      orderBy: [{ _count: { paymentMethod: "desc" } }, { _sum: { finalAmount: "desc" } }],
+      take: FAVOURITES_LIMIT,
+    }),
+    prisma.transactionDetail.findMany({
+      where,
+      orderBy: [{ date: "desc" }, { id: "asc" }],
+      skip: (page - 1) * pageSize,
+      take: pageSize,
+      select: {
+        transactionId: true,
+        date: true,
+        productId: true,
+        productName: true,
+        brand: true,
+        productCategory: true,
+        quantity: true,
+        totalAmount: true,
+        finalAmount: true,
+        paymentMethod: true,
+        orderStatus: true,
+        storeLocation: true,
+      },
+    }),
+  ])
+
+  const orderCount = totals._count._all
+  if (!customer || orderCount === 0) {
+    return null
+  }
+
+  const lifetimeValue = Number(totals._sum.finalAmount || 0)
+  const grossSpend = Number(totals._sum.totalAmount || 0)
+
+  return {
+    customerId,
+    ...customer,
+    orderCount,
+    units: Number(totals._sum.quantity || 0),
+    lifetimeValue,
+    grossSpend,
+    totalDiscount: Math.round((grossSpend - lifetimeValue) * 100) / 100,
+    averageOrderValue: Math.round((lifetimeValue / orderCount) * 100) / 100,
+    firstPurchase: formatDate(totals._min.date),
+    lastPurchase: formatDate(totals._max.date),
+    favouriteCategories: categories.map((group) => ({
+      productCategory: group.productCategory,
+      orders: group._count._all,
+      spend: Number(group._sum.finalAmount || 0),
+    })),
+    paymentMethods: paymentMethods.map((group) => ({
+      paymentMethod: group.paymentMethod,
+      orders: group._count._all,
+      spend: Number(group._sum.finalAmount || 0),
+    })),
+    purchases: {
+      transactions: purchases.map((purchase) => ({
+        ...purchase,
+        date: formatDate(purchase.date),
+        totalAmount: Number(purchase.totalAmount),
+        finalAmount: Number(purchase.finalAmount),
+      })),
+      pagination: {
+        page,
+        pageSize,
+        totalCount: orderCount,
+        totalPages: Math.ceil(orderCount / pageSize),
+      },
+    },
+  }
+}
+
+/**
+ * Every search word must appear in the customer's name or ID (case-insensitive)
+ */
+function buildCustomerSearchSql(search) {
+  const words = typeof search === "string" ? search.trim().split(/\s+/).filter(Boolean) : []
+  if (words.length === 0) return Prisma.sql`TRUE`
+
+  return Prisma.join(
+    words.map((word) => {
+      const pattern = `%${word.replace(/[\\%_]/g, "\\$&")}%`
+      return Prisma.sql`(c."customerName" ILIKE ${pattern} OR c."customerId" ILIKE ${pattern})`
+    }),
+    " AND "
+  )
+}
+
+function formatDate(date) {
+  return date ? date.toISOString().split("T")[0] : null
+}
@@ -0,0 +1,167 @@
+import { prisma } from "../utils/prisma.js"
+import { TRANSACTION_FIELDS, TRANSACTION_SCHEMA, diffFields } from "../utils/transactionSchema.js"
+
+/**
+ * Customers, products, stores and employees
+ * Their attributes are stored once, in their own tables, and transactions reference them
+ * by foreign key; imports create them as needed and the latest imported values win.
+ * Source data may omit store and salesperson IDs, so stores and employees have their own
+ * UUIDs and fall back to being identified by location and name.
+ */
+
+// Dimension -> Prisma model, identifying field and attributes (named as on the flat transaction row)
+export const DIMENSIONS = {
+  customer: {
+    model: "customer",
+    key: "customerId",
+    fields: ["customerName", "phoneNumber", "gender", "age", "customerRegion", "customerType"],
+  },
+  product: {
+    model: "product",
+    key: "productId",
+    fields: ["productName", "brand", "productCategory"],
+  },
+  store: {
+    model: "store",
+    key: "storeId",
+    fallbackKey: "storeLocation",
+    fields: ["storeLocation"],
+  },
+  employee: {
+    model: "employee",
+    key: "salespersonId",
+    fallbackKey: "employeeName",
+    fields: ["employeeName"],
+  },
+}
+
+// Flat fields stored on the transaction row itself (customerId and productId as foreign keys)
+const DIMENSION_ONLY_FIELDS = new Set(["storeId", "salespersonId", ...Object.values(DIMENSIONS).flatMap((dimension) => dimension.fields)])
+export const TRANSACTION_ROW_FIELDS = TRANSACTION_FIELDS.filter((field) => !DIMENSION_ONLY_FIELDS.has(field))
+
+/**
+ * Create or update the customers, products, stores and employees referenced by a set of rows
+ * When several rows reference the same one, later rows win. Attributes a row leaves out
+ * (undefined) keep their stored values.
+ * @param {Object[]} rows - Validated flat transaction data, in file order
+ * @param {Object} options
+ * @param {boolean} options.merge - Ignore empty values instead of clearing stored attributes
+ * @param {Object} options.client - Prisma client, or the transaction client to write in (defaults to prisma)
+ * @returns {Promise<Object>} - Keys for toTransactionRecord: { store, employee } maps of identity -> ID,
+ *   and `updated`: whether stored attributes changed (which changes other transactions too)
+ */
+export async function saveDimensions(rows, { merge = true, client = prisma } = {}) {
+  const [customer, product, store, employee] = await Promise.all([
+    saveDimension(DIMENSIONS.customer, rows, { merge, client }),
+    saveDimension(DIMENSIONS.product, rows, { merge, client }),
+    saveDimension(DIMENSIONS.store, rows, { merge, client }),
+    saveDimension(DIMENSIONS.employee, rows, { merge, client }),
+  ])
+  return {
+    store: store.ids,
+    employee: employee.ids,
+    updated: [customer, product, store, employee].some((saved) => saved.updated),
+  }
+}
+
+/**
+ * Build the Transaction record for a flat row whose dimensions were saved with saveDimensions
+ * @param {Object} row - Validated flat transaction data
+ * @param {Object} keys - Output of saveDimensions
+ * @param {Object} options
+ * @param {boolean} options.merge - Leave out empty values (updates that keep the stored value)
+ * @returns {Object} - Data for prisma.transaction.create/update
+ */
+export function toTransactionRecord(row, keys, { merge = false } = {}) {
+  const record = {}
+  for (const field of TRANSACTION_ROW_FIELDS) {
+    if (merge && (row[field] === null || row[field] === undefined)) continue
+    // Lists (tags) are stored empty rather than null
+    record[field] = row[field] ?? (TRANSACTION_SCHEMA[field].type === "tags" ? [] : null)
+  }
+
+  const storeKey = keys.store.get(identify(DIMENSIONS.store, row)) ?? null
+  if (!merge || storeKey) {
+    record.storeKey = storeKey
+  }
+  record.employeeKey = keys.employee.get(identify(DIMENSIONS.employee, row))
+  return record
+}
+
+/**
+ * Upsert one dimension for a set of rows
+ * @returns {Promise<Object>} - { ids: identity -> ID for dimensions with their own IDs (null otherwise), updated }
+ */
+async function saveDimension(dimension, rows, { merge, client }) {
+  const { model, key, fallbackKey, fields } = dimension
+
+  // Incoming values per identity, later rows applied over earlier ones
+  const incoming = new Map()
+  for (const row of rows) {
+    const identity = identify(dimension, row)
+    if (!identity) continue
+
+    const values = incoming.get(identity) || { [key]: row[key] ?? null }
+    for (const field of fields) {
+      if (row[field] === undefined || (merge && row[field] === null)) continue
+      values[field] = row[field]
+    }
+    incoming.set(identity, values)
+  }
+  if (incoming.size === 0) {
+    return { ids: fallbackKey ? new Map() : null, updated: false }
+  }
+
+  const keyed = [...incoming.values()].filter((values) => values[key] !== null)
+  const unkeyed = [...incoming.values()].filter((values) => values[key] === null)
+  const where = {
+    OR: [
+      { [key]: { in: keyed.map((values) => values[key]) } },
+      ...(fallbackKey ? [{ [key]: null, [fallbackKey]: { in: unkeyed.map((values) => values[fallbackKey]) } }] : []),
+    ],
+  }
+  const existingRows = await client[model].findMany({ where })
+  const existing = new Map(existingRows.map((row) => [identify(dimension, row), row]))
+
+  const toCreate = []
+  const toUpdate = []
+  for (const [identity, values] of incoming) {
+    const stored = existing.get(identity)
+    if (!stored) {
+      toCreate.push(values)
+      continue
+    }
+
+    const changes = diffFields(stored, values, fields.filter((field) => field in values), { merge })
+    if (Object.keys(changes).length > 0) {
+      toUpdate.push({ where: fallbackKey ? { id: stored.id } : { [key]: stored[key] }, data: changes })
+    }
+  }
+
+  if (toCreate.length > 0) {
+    // skipDuplicates covers rows created concurrently since the lookup above
+    await client[model].createMany({ data: toCreate, skipDuplicates: true })
+  }
+  if (toUpdate.length > 0) {
+    const updates = toUpdate.map((update) => client[model].update(update))
+    // A transaction client is already inside a transaction
+    await (client.$transaction ? client.$transaction(updates) : Promise.all(updates))
+  }
+
+  const updated = toUpdate.length > 0
+  if (!fallbackKey) return { ids: null, updated }
+
+  const savedRows = toCreate.length > 0 ? await client[model].findMany({ where }) : existingRows
+  return { ids: new Map(savedRows.map((row) => [identify(dimension, row), row.id])), updated }
+}
+
+/**
+ * Identity of the dimension a row refers to: its ID, or its fallback field when the ID is empty
+ * @returns {string|null} - null when the row has neither
+ */
+function identify(dimension, row) {
+  const { key, fallbackKey } = dimension
+  if (row[key] !== null && row[key] !== undefined) return `${key}:${row[key]}`
+  if (fallbackKey && row[fallbackKey] !== null && row[fallbackKey] !== undefined) return `${fallbackKey}:${row[fallbackKey]}`
+  return null
+}
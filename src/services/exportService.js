@@ -0,0 +1,163 @@
+import ExcelJS from "exceljs"
+import { iterateTransactions } from "./transactionService.js"
+import { streamCsv } from "../utils/csvStream.js"
+
+export const EXPORT_FORMATS = {
+  csv: { contentType: "text/csv; charset=utf-8", extension: "csv" },
+  ndjson: { contentType: "application/x-ndjson; charset=utf-8", extension: "ndjson" },
+  xlsx: { contentType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet", extension: "xlsx" },
+}
+
+// Every Transaction column, in schema order
+const EXPORT_COLUMNS = [
+  "id",
+  "transactionId",
+  "date",
+  "customerId",
+  "customerName",
+  "phoneNumber",
+  "gender",
+  "age",
+  "customerRegion",
+  "customerType",
+  "productId",
+  "productName",
+  "brand",
+  "productCategory",
+  "tags",
+  "quantity",
+  "pricePerUnit",
+  "discountPercentage",
+  "totalAmount",
+  "finalAmount",
+  "paymentMethod",
+  "orderStatus",
+  "deliveryType",
+  "storeId",
+  "storeLocation",
+  "salespersonId",
+  "employeeName",
+  "uploadId",
+  "createdAt",
+  "updatedAt",
+]
+
+const DECIMAL_COLUMNS = new Set(["pricePerUnit", "discountPercentage", "totalAmount", "finalAmount"])
+
+/**
+ * Stream every transaction matching the query to a writable stream
+ * @param {string} format - "csv", "ndjson" or "xlsx"
+ * @param {Object} query - { search, filters, sort } as accepted by getTransactions
+ * @param {Writable} output - Destination stream (e.g. the HTTP response)
+ * @returns {Promise<number>} - Number of rows written
+ */
+export async function exportTransactions(format, query, output) {
+  switch (format) {
+    case "csv":
+      return exportCsv(query, output)
+    case "ndjson":
+      return exportNdjson(query, output)
+    case "xlsx":
+      return exportXlsx(query, output)
+    default:
+      throw new Error(`Unsupported export format: ${format}`)
+  }
+}
+
+async function exportCsv(query, output) {
+  return streamCsv(iterateTransactions(query), output, {
+    columns: EXPORT_COLUMNS,
+    formatRow: (row) => EXPORT_COLUMNS.map((column) => formatValue(column, row[column], "text")),
+  })
+}
+
+async function exportNdjson(query, output) {
+  let count = 0
+  for await (const rows of iterateTransactions(query)) {
+    for (const row of rows) {
+      const record = Object.fromEntries(EXPORT_COLUMNS.map((column) => [column, formatValue(column, row[column], "json")]))
+      await write(output, `${JSON.stringify(record)}\n`)
+      count++
+    }
+  }
+
+  output.end()
+  return count
+}
+
+async function exportXlsx(query, output) {
+  // The streaming writer flushes each committed row, so the workbook is never held in memory
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: output, useStyles: false, useSharedStrings: false })
+  const sheet = workbook.addWorksheet("Transactions")
+  sheet.columns = EXPORT_COLUMNS.map((column) => ({ header: column, key: column }))
+
+  let count = 0
+  for await (const rows of iterateTransactions(query)) {
+    for (const row of rows) {
+      sheet.addRow(Object.fromEntries(EXPORT_COLUMNS.map((column) => [column, formatValue(column, row[column], "xlsx")]))).commit()
+      count++
+    }
+    // Let the output drain between batches
+    if (output.writableNeedDrain) {
+      await waitForDrain(output)
+    }
+  }
+
+  sheet.commit()
+  await workbook.commit()
+  return count
+}
+
+/**
+ * Format a column value for the target format
+ * Decimals stay exact strings in CSV, become numbers elsewhere; `date` is a calendar date;
+ * tags are a list in JSON and comma-separated elsewhere, as in imported files.
+ */
+function formatValue(column, value, target) {
+  if (value === null || value === undefined) {
+    return target === "text" ? "" : null
+  }
+  if (column === "date") {
+    return value.toISOString().split("T")[0]
+  }
+  if (value instanceof Date) {
+    return value.toISOString()
+  }
+  if (Array.isArray(value)) {
+    return target === "json" ? value : value.join(",")
+  }
+  if (DECIMAL_COLUMNS.has(column)) {
+    return target === "text" ? value.toString() : Number(value)
+  }
+  return value
+}
+
+/**
+ * Write a chunk and wait for the stream to drain when its buffer is full
+ */
+async function write(stream, chunk) {
+  if (stream.destroyed) {
+    throw new Error("Export stream closed")
+  }
+  if (!stream.write(chunk)) {
+    await waitForDrain(stream)
+  }
+}
+
+/**
+ * Resolve on "drain", reject if the stream closes first (e.g. the client went away)
+ */
+function waitForDrain(stream) {
+  return new Promise((resolve, reject) => {
+    const onDrain = () => {
+      stream.off("close", onClose)
+      resolve()
+    }
+    const onClose = () => {
+      stream.off("drain", onDrain)
+      reject(new Error("Export stream closed"))
+    }
+    stream.once("drain", onDrain)
+    stream.once("close", onClose)
+  })
+}
@@ -0,0 +1,139 @@
+import fs from "fs"
+import { prisma } from "../utils/prisma.js"
+import { countRunningImports } from "./importJobService.js"
+import { isShuttingDown } from "./shutdownService.js"
+
+/**
+ * Readiness checks for load balancers and orchestrators
+ * Each component reports `status` ("ok" or "fail") and `latencyMs`; the instance is
+ * ready only when every component is ok and it is not shutting down. Checks run in
+ * parallel and each fails after HEALTH_CHECK_TIMEOUT milliseconds (default 2000).
+ */
+
+const CHECK_TIMEOUT = Number(process.env.HEALTH_CHECK_TIMEOUT) || 2000
+// Imports running in this process before it stops taking traffic
+const MAX_RUNNING_IMPORTS = Number(process.env.HEALTH_MAX_RUNNING_IMPORTS) || 4
+const MIGRATIONS_DIR = new URL("../../prisma/migrations/", import.meta.url)
+
+let migrationNames = null
+
+/**
+ * Check every dependency the API needs to serve requests
+ * @returns {Promise<Object>} - { ready, status, checkedAt, components: { database, migrations, auth, imports } }
+ *   (or { ready: false, status, shuttingDown: true, checkedAt } during a shutdown)
+ */
+export async function checkReadiness() {
+  if (isShuttingDown()) {
+    return { ready: false, status: "fail", shuttingDown: true, checkedAt: new Date().toISOString() }
+  }
+
+  const [database, migrations, auth, imports] = await Promise.all([
+    runCheck(checkDatabase),
+    runCheck(checkMigrations),
+    runCheck(checkAuthProvider),
+    runCheck(checkImports),
+  ])
+  const components = { database, migrations, auth, imports }
+  const ready = Object.values(components).every((component) => component.status === "ok")
+
+  return {
+    ready,
+    status: ready ? "ok" : "fail",
+    checkedAt: new Date().toISOString(),
+    components,
+  }
+}
+
+/**
+ * Time a check and turn errors and timeouts into a failed status
+ */
+async function runCheck(check) {
+  const startedAt = Date.now()
+  let timer
+  try {
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(`Timed out after ${CHECK_TIMEOUT}ms`)), CHECK_TIMEOUT)
+    })
+    const details = await Promise.race([check(), timeout])
+    return { status: "ok", latencyMs: Date.now() - startedAt, ...details }
+  } catch (error) {
+    return { status: "fail", latencyMs: Date.now() - startedAt, error: error.message, ...error.details }
+  } finally {
+    clearTimeout(timer)
+  }
+}
+
+async function checkDatabase() {
+  await prisma.$queryRaw`SELECT 1`
+  return {}
+}
+
+/**
+ * Every migration shipped with this build is applied, and none failed
+ */
+async function checkMigrations() {
+  const rows = await prisma.$queryRaw`
+    SELECT "migration_name", "finished_at" IS NOT NULL AS "finished"
+    FROM "_prisma_migrations"
+    WHERE "rolled_back_at" IS NULL
+  `
+  const applied = new Set(rows.filter((row) => row.finished).map((row) => row.migration_name))
+  const failed = rows.filter((row) => !row.finished).map((row) => row.migration_name)
+  const pending = (await getMigrationNames()).filter((name) => !applied.has(name))
+
+  if (pending.length > 0 || failed.length > 0) {
+    throw checkError("Database schema is not up to date", { pending, failed })
+  }
+  return { applied: applied.size }
+}
+
+/**
+ * Supabase Auth answers with the configured key (a wrong key gets 401)
+ */
+async function checkAuthProvider() {
+  const response = await fetch(`${process.env.SUPABASE_URL}/auth/v1/settings`, {
+    headers: { apikey: process.env.SUPABASE_ANON_KEY },
+    signal: AbortSignal.timeout(CHECK_TIMEOUT),
+  })
+  if (!response.ok) {
+    throw checkError(`Auth provider responded with ${response.status}`, { statusCode: response.status })
+  }
+  return {}
+}
+
+/**
+ * Background imports: this process is not overloaded; uploads still processing anywhere are reported
+ */
+async function checkImports() {
+  const running = countRunningImports()
+  const backlog = await prisma.csvUpload.aggregate({
+    where: { status: "processing" },
+    _count: { _all: true },
+    _min: { uploadedAt: true },
+  })
+  const details = {
+    running,
+    maxRunning: MAX_RUNNING_IMPORTS,
+    processing: backlog._count._all,
+    oldestProcessingSince: backlog._min.uploadedAt?.toISOString() ?? null,
+  }
+
+  if (running >= MAX_RUNNING_IMPORTS) {
+    throw checkError(`${running} imports running in this process`, details)
+  }
+  return details
+}
+
+async function getMigrationNames() {
+  if (!migrationNames) {
+    const entries = await fs.promises.readdir(MIGRATIONS_DIR, { withFileTypes: true })
+    migrationNames = entries.filter((entry) => entry.isDirectory()).map((entry) => entry.name).sort()
+  }
+  return migrationNames
+}
+
+function checkError(message, details) {
+  const error = new Error(message)
+  error.details = details
+  return error
+}
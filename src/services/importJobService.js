@@ -0,0 +1,338 @@
+import { EventEmitter } from "events"
+import fs from "fs"
+import { prisma } from "../utils/prisma.js"
+import { importTransactionsFromCSV } from "./csvImportService.js"
+import { resolveImportProfile } from "./importProfileService.js"
+import { logger, withLogContext } from "../utils/logger.js"
+import { importRows, importDuration, importsInProgress } from "../utils/metrics.js"
+
+const PERSIST_INTERVAL = 1000 // Write progress to the database at most once per second
+const FINISHED_JOB_TTL = 60 * 1000 // Keep finished jobs in memory briefly for late subscribers
+const STALE_UPLOAD_AGE = 5 * 60 * 1000 // A processing upload without a progress write for this long has lost its server
+
+// uploadId -> { progress, emitter, abortController, done }
+const activeJobs = new Map()
+
+/**
+ * Reason an import stopped early when the server shut down (see interruptImports)
+ */
+export class ImportInterruptedError extends Error {
+  constructor() {
+    super("Import interrupted by a server shutdown")
+    this.name = "ImportInterruptedError"
+  }
+}
+
+/**
+ * Start importing an uploaded CSV file in the background
+ * The temp file is deleted once the import finishes.
+ * @param {Object} params
+ * @param {string} params.uploadId - CsvUpload ID
+ * @param {string} params.filePath - Path to the uploaded temp file
+ * @param {number} params.fileSize - File size in bytes
+ * @param {string|null} params.profileId - Import profile ID, "auto" to detect one from the headers, or null for the defaults
+ * @param {string} params.conflictMode - How existing transactionIds are handled ("skip", "overwrite", "merge")
+ */
+export function startImportJob({ uploadId, filePath, fileSize, profileId = null, conflictMode = "skip" }) {
+  const job = {
+    progress: {
+      uploadId,
+      status: "processing",
+      processed: 0,
+      imported: 0,
+      inserted: 0,
+      updated: 0,
+      unchanged: 0,
+      skipped: 0,
+      errors: 0,
+      bytesRead: 0,
+      fileSize,
+      percent: 0,
+    },
+    emitter: new EventEmitter(),
+    abortController: new AbortController(),
+  }
+  activeJobs.set(uploadId, job)
+
+  // Entries logged by the import carry its upload ID
+  job.done = withLogContext({ uploadId }, () => runImportJob(job, filePath, { profileId, conflictMode })).catch((error) => {
+    logger.error("Import job crashed", { uploadId, error })
+  })
+}
+
+/**
+ * Wait for the imports running in this process to finish
+ * @param {number} timeoutMs - Longest wait
+ * @returns {Promise<boolean>} - True if none is still running
+ */
+export async function waitForImports(timeoutMs) {
+  const running = [...activeJobs.values()].filter((job) => job.progress.status === "processing")
+  if (running.length === 0) return true
+
+  let timer
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(resolve, Math.max(0, timeoutMs))
+  })
+  await Promise.race([Promise.all(running.map((job) => job.done)), timeout])
+  clearTimeout(timer)
+  return countRunningImports() === 0
+}
+
+/**
+ * Stop every import running in this process before its next batch
+ * Rows already written stay; each upload is marked failed with how to import the rest.
+ * @returns {number} - Imports interrupted
+ */
+export function interruptImports() {
+  let interrupted = 0
+  for (const job of activeJobs.values()) {
+    if (job.progress.status === "processing" && !job.abortController.signal.aborted) {
+      job.abortController.abort(new ImportInterruptedError())
+      interrupted++
+    }
+  }
+  return interrupted
+}
+
+/**
+ * Mark uploads left "processing" by a server that stopped without finishing them as failed
+ * Runs at startup and then every STALE_UPLOAD_AGE; uploads still writing progress (on this or
+ * another instance) are left alone.
+ */
+export function sweepStaleUploads() {
+  const sweep = async () => {
+    try {
+      const { count } = await prisma.csvUpload.updateMany({
+        where: { status: "processing", updatedAt: { lt: new Date(Date.now() - STALE_UPLOAD_AGE) } },
+        data: {
+          status: "failed",
+          errorMessage: `Import stopped when the server restarted. Upload the file again with conflict mode "skip" to import the remaining rows.`,
+          completedAt: new Date(),
+        },
+      })
+      if (count > 0) logger.warn("Marked stale uploads as failed", { count })
+    } catch (error) {
+      logger.error("Error marking stale uploads as failed", { error })
+    }
+  }
+
+  sweep()
+  setInterval(sweep, STALE_UPLOAD_AGE).unref()
+}
+
+/**
+ * Get the current progress of an import
+ * Falls back to the persisted CsvUpload row when the job is not running in this process.
+ * @param {string} uploadId - CsvUpload ID
+ * @returns {Promise<Object|null>} - Progress snapshot, or null if the upload does not exist
+ */
+export async function getImportProgress(uploadId) {
+  const job = activeJobs.get(uploadId)
+  if (job) {
+    return { ...job.progress }
+  }
+
+  const upload = await prisma.csvUpload.findUnique({ where: { id: uploadId } })
+  if (!upload) {
+    return null
+  }
+
+  const fileSize = Number(upload.fileSize)
+  const finished = upload.status !== "processing"
+  return {
+    uploadId,
+    status: upload.status,
+    processed: upload.processedRecords,
+    imported: upload.importedRecords,
+    inserted: upload.insertedRecords,
+    updated: upload.updatedRecords,
+    unchanged: upload.unchangedRecords,
+    skipped: upload.skippedRecords,
+    errors: upload.failedRecords,
+    bytesRead: finished ? fileSize : null,
+    fileSize,
+    percent: finished ? 100 : null,
+    errorMessage: upload.errorMessage,
+  }
+}
+
+/**
+ * Number of imports running in this process
+ * @returns {number}
+ */
+export function countRunningImports() {
+  let running = 0
+  for (const job of activeJobs.values()) {
+    if (job.progress.status === "processing") running++
+  }
+  return running
+}
+
+/**
+ * Subscribe to live progress of an import running in this process
+ * @param {string} uploadId - CsvUpload ID
+ * @param {Function} listener - Called with each progress snapshot
+ * @returns {Function|null} - Unsubscribe function, or null if the job is not running here
+ */
+export function subscribeToImport(uploadId, listener) {
+  const job = activeJobs.get(uploadId)
+  if (!job) {
+    return null
+  }
+
+  job.emitter.on("progress", listener)
+  return () => job.emitter.off("progress", listener)
+}
+
+/**
+ * Run the import and keep the CsvUpload row in sync with its progress
+ */
+async function runImportJob(job, filePath, { profileId, conflictMode }) {
+  const { uploadId } = job.progress
+  let lastPersistedAt = 0
+  let pendingPersist = Promise.resolve()
+  const stopTimer = importDuration.startTimer()
+  importsInProgress.inc()
+  logger.info("Import started", { conflictMode, fileSize: job.progress.fileSize })
+
+  const publish = (update) => {
+    Object.assign(job.progress, update)
+    if (job.progress.fileSize > 0 && job.progress.bytesRead != null) {
+      job.progress.percent = Math.min(100, Math.round((job.progress.bytesRead / job.progress.fileSize) * 100))
+    }
+    job.emitter.emit("progress", { ...job.progress })
+  }
+
+  try {
+    const progressCallback = (progress) => {
+      publish(progress)
+
+      const now = Date.now()
+      if (now - lastPersistedAt >= PERSIST_INTERVAL) {
+        lastPersistedAt = now
+        pendingPersist = prisma.csvUpload.update({
+          where: { id: uploadId },
+          data: {
+            processedRecords: progress.processed,
+            importedRecords: progress.imported,
+            insertedRecords: progress.inserted,
+            updatedRecords: progress.updated,
+            unchangedRecords: progress.unchanged,
+            skippedRecords: progress.skipped,
+            failedRecords: progress.errors,
+          },
+        }).catch((error) => {
+          logger.error("Error saving upload progress", { error: error.message })
+        })
+      }
+    }
+
+    const profile = await resolveImportProfile(profileId, filePath)
+    if (profileId === "auto" && profile) {
+      await prisma.csvUpload.update({ where: { id: uploadId }, data: { profileId: profile.id } })
+    }
+
+    const result = await importTransactionsFromCSV(filePath, {
+      uploadId,
+      profile,
+      conflictMode,
+      progressCallback,
+      signal: job.abortController.signal,
+    })
+
+    // Make sure a throttled progress write cannot land after the final one
+    await pendingPersist
+
+    await prisma.csvUpload.update({
+      where: { id: uploadId },
+      data: {
+        totalRecords: result.totalRecords,
+        processedRecords: result.totalRecords,
+        importedRecords: result.imported,
+        insertedRecords: result.inserted,
+        updatedRecords: result.updated,
+        unchangedRecords: result.unchanged,
+        skippedRecords: result.skipped,
+        failedRecords: result.errors,
+        status: "completed",
+        errorMessage: result.errors > 0 ? `${result.errors} records failed, see the upload's rejected rows` : null,
+        completedAt: new Date(),
+      },
+    })
+
+    publish({
+      status: "completed",
+      processed: result.totalRecords,
+      imported: result.imported,
+      inserted: result.inserted,
+      updated: result.updated,
+      unchanged: result.unchanged,
+      skipped: result.skipped,
+      errors: result.errors,
+      bytesRead: job.progress.fileSize,
+    })
+  } catch (error) {
+    const { progress } = job
+    let errorMessage = error.message
+    if (error instanceof ImportInterruptedError) {
+      // Rows already imported are skipped when the same file is uploaded again
+      errorMessage = `${error.message} after ${progress.processed} rows. Upload the file again with conflict mode "skip" to import the remaining rows.`
+      logger.warn("Import interrupted", { processed: progress.processed })
+    } else {
+      logger.error("Error importing upload", { error })
+    }
+
+    try {
+      await pendingPersist
+      await prisma.csvUpload.update({
+        where: { id: uploadId },
+        data: {
+          // Counts of the batches written before the failure (throttled progress writes may lag)
+          processedRecords: progress.processed,
+          importedRecords: progress.imported,
+          insertedRecords: progress.inserted,
+          updatedRecords: progress.updated,
+          unchangedRecords: progress.unchanged,
+          skippedRecords: progress.skipped,
+          failedRecords: progress.errors,
+          status: "failed",
+          errorMessage,
+          completedAt: new Date(),
+        },
+      })
+    } catch (updateError) {
+      logger.error("Error updating upload record", { error: updateError })
+    }
+
+    publish({ status: "failed", errorMessage })
+  } finally {
+    recordImportMetrics(job.progress, stopTimer)
+    fs.promises.unlink(filePath).catch(() => {})
+
+    setTimeout(() => {
+      job.emitter.removeAllListeners()
+      activeJobs.delete(uploadId)
+    }, FINISHED_JOB_TTL).unref()
+  }
+}
+
+/**
+ * Count a finished import's rows by outcome, its duration, and log its summary
+ */
+function recordImportMetrics(progress, stopTimer) {
+  const { status, processed, inserted, updated, unchanged, skipped, errors } = progress
+  const durationSeconds = stopTimer({ status })
+  importsInProgress.dec()
+
+  const rows = { inserted, updated, unchanged, skipped, failed: errors }
+  for (const [result, count] of Object.entries(rows)) {
+    importRows.inc({ result }, count)
+  }
+
+  logger.info("Import finished", {
+    status,
+    ...rows,
+    durationMs: Math.round(durationSeconds * 1000),
+    rowsPerSecond: durationSeconds > 0 ? Math.round(processed / durationSeconds) : null,
+  })
+}
@@ -0,0 +1,280 @@
+import { prisma } from "../utils/prisma.js"
+import { parse } from "csv-parse"
+import fs from "fs"
+import { TRANSACTION_SCHEMA, TRANSACTION_FIELDS } from "../utils/transactionSchema.js"
+import { isUuid } from "../utils/uuid.js"
+
+/**
+ * Transaction fields that can be imported, with the headers recognised by default
+ * Headers are compared after normalization, so "Customer Name", "customer_name"
+ * and "CustomerName" all match the same field.
+ */
+export const DEFAULT_COLUMN_MAPPING = {
+  transactionId: ["Transaction ID"],
+  date: ["Date"],
+  customerId: ["Customer ID"],
+  customerName: ["Customer Name"],
+  phoneNumber: ["Phone Number"],
+  gender: ["Gender"],
+  age: ["Age"],
+  customerRegion: ["Customer Region"],
+  customerType: ["Customer Type"],
+  productId: ["Product ID"],
+  productName: ["Product Name"],
+  brand: ["Brand"],
+  productCategory: ["Product Category"],
+  tags: ["Tags"],
+  quantity: ["Quantity"],
+  pricePerUnit: ["Price per Unit"],
+  discountPercentage: ["Discount Percentage"],
+  totalAmount: ["Total Amount"],
+  finalAmount: ["Final Amount"],
+  paymentMethod: ["Payment Method"],
+  orderStatus: ["Order Status"],
+  deliveryType: ["Delivery Type"],
+  storeId: ["Store ID"],
+  storeLocation: ["Store Location"],
+  salespersonId: ["Salesperson ID"],
+  employeeName: ["Employee Name"],
+}
+
+export const IMPORT_FIELDS = TRANSACTION_FIELDS
+
+// Fields that must come from a column or a default
+export const REQUIRED_IMPORT_FIELDS = TRANSACTION_FIELDS.filter((field) => TRANSACTION_SCHEMA[field].required)
+
+/**
+ * Normalize a header for comparison: lowercase, letters and digits only
+ */
+function normalizeHeader(header) {
+  return String(header).toLowerCase().replace(/[^a-z0-9]/g, "")
+}
+
+function toArray(value) {
+  if (value === undefined || value === null) return []
+  return Array.isArray(value) ? value : [value]
+}
+
+/**
+ * Resolve which source header feeds each Transaction field for a given file
+ * Profile headers take precedence; fields the profile does not map fall back to the defaults.
+ * @param {string[]} headers - Headers found in the CSV file
+ * @param {Object|null} profile - Import profile (columnMapping, defaults), or null for the defaults
+ * @returns {Object} - { columns: { field: header|null }, defaults: { field: value } }
+ */
+export function resolveColumns(headers, profile = null) {
+  const headersByKey = new Map()
+  for (const header of headers) {
+    const key = normalizeHeader(header)
+    if (!headersByKey.has(key)) headersByKey.set(key, header)
+  }
+
+  const columnMapping = profile?.columnMapping || {}
+  const columns = {}
+  for (const field of IMPORT_FIELDS) {
+    const candidates = [...toArray(columnMapping[field]), ...DEFAULT_COLUMN_MAPPING[field]]
+    const match = candidates.find((candidate) => headersByKey.has(normalizeHeader(candidate)))
+    columns[field] = match ? headersByKey.get(normalizeHeader(match)) : null
+  }
+
+  return { columns, defaults: profile?.defaults || {} }
+}
+
+/**
+ * Read only the header row of a CSV file
+ * @param {string} filePath - Path to CSV file
+ * @returns {Promise<string[]>} - Headers in file order
+ */
+export async function readCsvHeaders(filePath) {
+  const input = fs.createReadStream(filePath)
+  try {
+    for await (const row of input.pipe(parse({ to_line: 1, trim: true }))) {
+      return row
+    }
+    return []
+  } finally {
+    input.destroy()
+  }
+}
+
+/**
+ * Rank the built-in mapping and every saved profile against a set of headers
+ * Score is the share of required fields the profile can fill (from a column or a default);
+ * ties go to the profile matching more of its own headers.
+ * @param {string[]} headers - Headers found in the CSV file
+ * @returns {Promise<Array>} - Suggestions, best match first
+ */
+export async function detectProfiles(headers) {
+  const profiles = await prisma.importProfile.findMany({ orderBy: { name: "asc" } })
+  const candidates = [{ id: null, name: "Default", columnMapping: {}, defaults: {} }, ...profiles]
+
+  return candidates
+    .map((profile) => {
+      const { columns, defaults } = resolveColumns(headers, profile)
+      const missingFields = REQUIRED_IMPORT_FIELDS.filter((field) => !columns[field] && !(field in defaults))
+      const matchedProfileFields = Object.entries(profile.columnMapping || {}).filter(([field, profileHeaders]) =>
+        columns[field] &&
+        toArray(profileHeaders).some((header) => normalizeHeader(header) === normalizeHeader(columns[field]))
+      )
+
+      return {
+        profileId: profile.id,
+        name: profile.name,
+        score: Number(((REQUIRED_IMPORT_FIELDS.length - missingFields.length) / REQUIRED_IMPORT_FIELDS.length).toFixed(3)),
+        matchedProfileColumns: matchedProfileFields.length,
+        columns,
+        missingFields,
+      }
+    })
+    .sort((a, b) => b.score - a.score || b.matchedProfileColumns - a.matchedProfileColumns)
+}
+
+/**
+ * Load the profile requested for an upload
+ * @param {string|null} profileId - Profile ID, "auto" to detect one from the file's headers, or null
+ * @param {string} filePath - Path to the uploaded CSV file (read for "auto")
+ * @returns {Promise<Object|null>} - Profile, or null for the defaults
+ */
+export async function resolveImportProfile(profileId, filePath) {
+  if (profileId === "auto") {
+    return detectBestProfile(await readCsvHeaders(filePath))
+  }
+  return profileId ? getImportProfile(profileId) : null
+}
+
+/**
+ * Pick the best-matching saved profile for a set of headers
+ * @param {string[]} headers - Headers found in the CSV file
+ * @returns {Promise<Object|null>} - Profile, or null when the defaults match best
+ */
+export async function detectBestProfile(headers) {
+  const [best] = await detectProfiles(headers)
+  if (!best?.profileId) {
+    return null
+  }
+  return getImportProfile(best.profileId)
+}
+
+/**
+ * Validate a profile payload
+ * @param {Object} input - Request body
+ * @param {Object} options
+ * @param {boolean} options.partial - Allow missing fields (updates)
+ * @returns {string[]} - Validation errors, empty if valid
+ */
+export function validateImportProfile(input, { partial = false } = {}) {
+  const errors = []
+  const { name, columnMapping, defaults } = input || {}
+
+  if (!partial || name !== undefined) {
+    if (typeof name !== "string" || name.trim() === "") {
+      errors.push("name is required")
+    }
+  }
+
+  if (!partial || columnMapping !== undefined) {
+    if (!columnMapping || typeof columnMapping !== "object" || Array.isArray(columnMapping)) {
+      errors.push("columnMapping must be an object of { transactionField: sourceHeader }")
+    } else {
+      for (const [field, headers] of Object.entries(columnMapping)) {
+        if (!IMPORT_FIELDS.includes(field)) {
+          errors.push(`columnMapping.${field} is not a transaction field`)
+        } else if (toArray(headers).length === 0 || !toArray(headers).every((h) => typeof h === "string" && h.trim() !== "")) {
+          errors.push(`columnMapping.${field} must be a header name or a list of header names`)
+        }
+      }
+    }
+  }
+
+  if (defaults !== undefined && defaults !== null) {
+    if (typeof defaults !== "object" || Array.isArray(defaults)) {
+      errors.push("defaults must be an object of { transactionField: value }")
+    } else {
+      for (const [field, value] of Object.entries(defaults)) {
+        if (!IMPORT_FIELDS.includes(field)) {
+          errors.push(`defaults.${field} is not a transaction field`)
+        } else if (!["string", "number"].includes(typeof value)) {
+          errors.push(`defaults.${field} must be a string or number`)
+        }
+      }
+    }
+  }
+
+  return errors
+}
+
+/**
+ * List saved import profiles
+ * @returns {Promise<Array>} - Profiles ordered by name
+ */
+export async function listImportProfiles() {
+  return prisma.importProfile.findMany({ orderBy: { name: "asc" } })
+}
+
+/**
+ * Get one import profile
+ * @param {string} id - Profile ID
+ * @returns {Promise<Object|null>} - Profile, or null if not found (or if the ID is not a UUID)
+ */
+export async function getImportProfile(id) {
+  if (!isUuid(id)) {
+    return null
+  }
+  return prisma.importProfile.findUnique({ where: { id } })
+}
+
+/**
+ * Create an import profile
+ * @param {Object} input - name, description, columnMapping, defaults
+ * @param {string|null} createdBy - Email of the creating user
+ * @returns {Promise<Object>} - Created profile
+ */
+export async function createImportProfile({ name, description, columnMapping, defaults }, createdBy = null) {
+  return prisma.importProfile.create({
+    data: {
+      name: name.trim(),
+      description: description || null,
+      columnMapping,
+      defaults: defaults || {},
+      createdBy,
+    },
+  })
+}
+
+/**
+ * Update an import profile
+ * @param {string} id - Profile ID
+ * @param {Object} input - Fields to change
+ * @returns {Promise<Object|null>} - Updated profile, or null if not found
+ */
+export async function updateImportProfile(id, { name, description, columnMapping, defaults }) {
+  const existing = await getImportProfile(id)
+  if (!existing) {
+    return null
+  }
+
+  return prisma.importProfile.update({
+    where: { id },
+    data: {
+      ...(name !== undefined ? { name: name.trim() } : {}),
+      ...(description !== undefined ? { description: description || null } : {}),
+      ...(columnMapping !== undefined ? { columnMapping } : {}),
+      ...(defaults !== undefined ? { defaults: defaults || {} } : {}),
+    },
+  })
+}
+
+/**
+ * Delete an import profile (past uploads keep their history, the link is cleared)
+ * @param {string} id - Profile ID
+ * @returns {Promise<boolean>} - False if not found
+ */
+export async function deleteImportProfile(id) {
+  const existing = await getImportProfile(id)
+  if (!existing) {
+    return false
+  }
+
+  await prisma.importProfile.delete({ where: { id } })
+  return true
+}
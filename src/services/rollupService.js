@@ -0,0 +1,63 @@
+import { prisma } from "../utils/prisma.js"
+import { Prisma } from "@prisma/client"
+import { invalidateTransactionCache } from "../utils/transactionCache.js"
+
+/**
+ * Stats served from the daily_sales rollup instead of every transaction
+ * daily_sales holds one row of totals per date, region, category, gender, payment method
+ * and store, kept current by database triggers. A query can use it when it only filters
+ * and groups by those columns: no search, no age or tag filters.
+ */
+
+// Breakdown dimensions available in the rollup
+const ROLLUP_DIMENSIONS = new Set(["customerRegion", "gender", "productCategory", "paymentMethod", "storeId", "storeLocation"])
+
+// Where stats queries read their rows, and how they count transactions
+const DETAIL_SOURCE = {
+  from: Prisma.sql`"transaction_details"`,
+  transactions: Prisma.sql`count(*)`,
+}
+const ROLLUP_SOURCE = {
+  from: Prisma.sql`(
+    SELECT r.*, s."storeId", s."storeLocation"
+    FROM "daily_sales" AS r
+    LEFT JOIN "stores" AS s ON s."id" = r."store_key"
+  ) AS "daily_sales"`,
+  transactions: Prisma.sql`sum("transactionCount")`,
+}
+
+/**
+ * Whether the rollup holds everything a stats query needs
+ * @param {Object} params - { searchTerms (from resolveSearchTerms), filters (from parseTransactionFilters), dimensions (breakdown `by`) }
+ * @returns {boolean}
+ */
+export function canUseRollup({ searchTerms = [], filters = {}, dimensions = [] }) {
+  if (searchTerms.length > 0) return false
+  if (!dimensions.every((dimension) => ROLLUP_DIMENSIONS.has(dimension))) return false
+  return [filters, ...(filters.anyOf || [])].every(
+    (group) => !group.age && !group.include?.tags && !group.exclude?.tags
+  )
+}
+
+/**
+ * Rows for a stats query: the rollup when canUseRollup allows it, otherwise transaction_details
+ * Both have the filter columns (see compileTransactionFiltersSql), "date", "quantity",
+ * "totalAmount" and "finalAmount".
+ * @param {Object} params - As for canUseRollup
+ * @returns {Object} - { from: FROM item, transactions: transaction count expression }
+ */
+export function statsSource(params) {
+  return canUseRollup(params) ? ROLLUP_SOURCE : DETAIL_SOURCE
+}
+
+/**
+ * Recompute the rollup from every transaction
+ * Only needed if it was changed by hand or triggers were disabled; imports and edits
+ * keep it current. Transaction writes wait until the rebuild commits.
+ * @returns {Promise<number>} - Rollup rows written
+ */
+export async function rebuildDailySales() {
+  const [{ rows }] = await prisma.$queryRaw`SELECT "rebuild_daily_sales"() AS "rows"`
+  await invalidateTransactionCache({ all: true })
+  return rows
+}
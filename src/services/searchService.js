@@ -0,0 +1,170 @@
+import { prisma } from "../utils/prisma.js"
+import { Prisma } from "@prisma/client"
+import { compileTransactionFiltersSql } from "../utils/transactionFilters.js"
+import { logger } from "../utils/logger.js"
+
+/**
+ * Transaction search
+ * Every transaction has a lowercased `search_text` column (transaction ID, customer ID
+ * and name, phone digits, product ID and name, brand, employee name, store location),
+ * kept up to date by triggers on the transaction and its customer, product, store and
+ * employee, with a pg_trgm index, so substring matches on any word are indexed.
+ * Typo tolerance comes from `transaction_search_terms`, a materialized view of the
+ * words found in names, products, brands and locations.
+ */
+
+const MIN_WORD_LENGTH = 2 // Shorter words are ignored
+const MAX_WORDS = 8
+const FUZZY_MIN_LENGTH = 4 // Only words this long get typo-tolerant alternatives
+const FUZZY_ALTERNATIVES = 5
+// Refreshing the vocabulary rescans every transaction, so writes only mark it stale and it is
+// refreshed once writes pause for REFRESH_DELAY, and at most MAX_REFRESH_DELAY after the first one
+const REFRESH_DELAY = 30 * 1000
+const MAX_REFRESH_DELAY = 5 * 60 * 1000
+
+let staleSince = null
+let refreshTimer = null
+let refreshing = null
+
+/**
+ * Split a search string into normalized words
+ * @param {string} search - Search string
+ * @returns {string[]} - Lowercased, de-duplicated words
+ */
+export function tokenizeSearch(search) {
+  if (typeof search !== "string") return []
+
+  const words = search
+    .toLowerCase()
+    .split(/\s+/)
+    .map((word) => {
+      // Phone numbers are indexed as digits only
+      if (/^\+?[\d().-]+$/.test(word)) return word.replace(/\D/g, "")
+      return word.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, "").replace(/[%_\\]/g, "")
+    })
+    .filter((word) => word.length >= MIN_WORD_LENGTH)
+
+  return [...new Set(words)].slice(0, MAX_WORDS)
+}
+
+/**
+ * Resolve each search word to the terms it may match
+ * A word that appears nowhere in the search vocabulary (likely a typo) is expanded
+ * to the most similar vocabulary terms.
+ * @param {string} search - Search string
+ * @returns {Promise<Array>} - [{ word, alternatives: [word, ...similar terms] }], empty when there is nothing to search
+ */
+export async function resolveSearchTerms(search) {
+  const words = tokenizeSearch(search)
+
+  return Promise.all(
+    words.map(async (word) => {
+      if (word.length < FUZZY_MIN_LENGTH || /\d/.test(word)) {
+        return { word, alternatives: [word] }
+      }
+
+      const pattern = `%${word}%`
+      const rows = await prisma.$queryRaw`
+        SELECT "term", "term" LIKE ${pattern} AS "exact"
+        FROM "transaction_search_terms"
+        WHERE "term" LIKE ${pattern} OR "term" % ${word}
+        ORDER BY "exact" DESC, similarity("term", ${word}) DESC
+        LIMIT ${FUZZY_ALTERNATIVES}
+      `
+      if (rows.length === 0 || rows[0].exact) {
+        return { word, alternatives: [word] }
+      }
+      return { word, alternatives: [word, ...rows.map((row) => row.term)] }
+    })
+  )
+}
+
+/**
+ * Build Prisma conditions requiring every search word (or one of its alternatives)
+ * @param {Array} searchTerms - Output of resolveSearchTerms
+ * @returns {Array} - Conditions to combine with AND
+ */
+export function buildSearchConditions(searchTerms) {
+  return searchTerms.map(({ alternatives }) => ({
+    OR: alternatives.map((term) => ({ searchText: { contains: term } })),
+  }))
+}
+
+/**
+ * Get one page of transaction IDs matching search and filters, best match first
+ * Rank: exact transaction/customer/product ID first, then customer names starting
+ * with the search, then trigram word similarity to the whole search string.
+ * @param {Object} params - { searchTerms, filters, skip, take }
+ * @returns {Promise<string[]>} - transactionIds in relevance order
+ */
+export async function findTransactionIdsByRelevance({ searchTerms, filters = {}, skip = 0, take = 10 }) {
+  const query = searchTerms.map(({ word }) => word).join(" ")
+
+  const rows = await prisma.$queryRaw`
+    SELECT "transactionId"
+    FROM "transaction_details"
+    WHERE ${compileTransactionFiltersSql(filters)} AND ${buildSearchSql(searchTerms)}
+    ORDER BY
+      (lower("transactionId") = ${query} OR lower("customerId") = ${query} OR lower("productId") = ${query}) DESC,
+      (lower("customerName") LIKE ${`${query}%`}) DESC,
+      word_similarity(${query}, "search_text") DESC,
+      "id" ASC
+    LIMIT ${take} OFFSET ${skip}
+  `
+  return rows.map((row) => row.transactionId)
+}
+
+/**
+ * Mark the typo-tolerance vocabulary stale after data changes; it is refreshed in the background
+ */
+export function scheduleSearchTermsRefresh() {
+  staleSince ??= Date.now()
+  clearTimeout(refreshTimer)
+  const delay = Math.min(REFRESH_DELAY, Math.max(0, staleSince + MAX_REFRESH_DELAY - Date.now()))
+  refreshTimer = setTimeout(flushSearchTermsRefresh, delay)
+  refreshTimer.unref()
+}
+
+/**
+ * Refresh the vocabulary now if it is stale (waits for a refresh already running)
+ */
+export async function flushSearchTermsRefresh() {
+  clearTimeout(refreshTimer)
+  refreshTimer = null
+  if (refreshing) await refreshing
+  if (staleSince === null) return
+
+  staleSince = null
+  refreshing = refreshSearchTerms().finally(() => {
+    refreshing = null
+  })
+  await refreshing
+}
+
+/**
+ * Rebuild the typo-tolerance vocabulary
+ * Errors are logged, not thrown: a stale vocabulary only makes fuzzy matching less complete.
+ */
+export async function refreshSearchTerms() {
+  try {
+    await prisma.$executeRaw`REFRESH MATERIALIZED VIEW CONCURRENTLY "transaction_search_terms"`
+  } catch (error) {
+    logger.error("Error refreshing search terms", { error: error.message })
+  }
+}
+
+/**
+ * SQL equivalent of buildSearchConditions
+ * @param {Array} searchTerms - Output of resolveSearchTerms
+ * @returns {Prisma.Sql} - Condition for a WHERE clause (TRUE when there is no search)
+ */
+export function buildSearchSql(searchTerms) {
+  if (searchTerms.length === 0) return Prisma.sql`TRUE`
+
+  return Prisma.join(
+    searchTerms.map(({ alternatives }) =>
+      Prisma.sql`(${Prisma.join(alternatives.map((term) => Prisma.sql`"search_text" LIKE ${`%${term}%`}`), " OR ")})`
+    ),
+    " AND "
+  )
+}
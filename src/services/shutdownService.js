@@ -0,0 +1,90 @@
+import { prisma } from "../utils/prisma.js"
+import { cache } from "../utils/cache.js"
+import { logger } from "../utils/logger.js"
+import { waitForImports, interruptImports } from "./importJobService.js"
+import { flushSearchTermsRefresh } from "./searchService.js"
+
+/**
+ * Graceful shutdown on SIGTERM and SIGINT
+ * 1. Readiness turns to 503 and the server stops accepting connections
+ * 2. In-flight requests and running imports get until SHUTDOWN_TIMEOUT (milliseconds,
+ *    default 25000) to finish; imports still running then are interrupted before their
+ *    next batch and their uploads marked failed with how to import the remaining rows
+ * 3. Connections still open at the deadline are closed, a pending search vocabulary
+ *    refresh runs, then Prisma and the cache are closed
+ * Signals received during a shutdown are ignored (a cluster worker gets Ctrl+C both from
+ * the terminal and from the primary).
+ */
+
+const SHUTDOWN_TIMEOUT = Number(process.env.SHUTDOWN_TIMEOUT) || 25 * 1000
+// Time kept after interrupting imports for them to record where they stopped
+const INTERRUPT_GRACE = 3 * 1000
+// Hard exit if closing connections or clients hangs
+const FORCE_EXIT_DELAY = 5 * 1000
+
+let shuttingDown = false
+
+/**
+ * Whether a shutdown has started (readiness reports not ready)
+ * @returns {boolean}
+ */
+export function isShuttingDown() {
+  return shuttingDown
+}
+
+/**
+ * Shut the server down gracefully on SIGTERM or SIGINT
+ * @param {http.Server} server - Server returned by app.listen
+ */
+export function handleShutdownSignals(server) {
+  for (const signal of ["SIGTERM", "SIGINT"]) {
+    process.on(signal, () => {
+      shutdown(server, signal).catch((error) => {
+        logger.error("Error during shutdown", { error })
+        process.exit(1)
+      })
+    })
+  }
+}
+
+async function shutdown(server, signal) {
+  if (shuttingDown) return
+  shuttingDown = true
+
+  const deadline = Date.now() + SHUTDOWN_TIMEOUT
+  const remaining = () => Math.max(0, deadline - Date.now())
+  logger.info("Shutting down", { signal, timeoutMs: SHUTDOWN_TIMEOUT })
+  setTimeout(() => {
+    logger.error("Shutdown timed out, exiting")
+    process.exit(1)
+  }, SHUTDOWN_TIMEOUT + FORCE_EXIT_DELAY).unref()
+
+  // Stop accepting connections; keep-alive connections close once their request is answered
+  const closed = new Promise((resolve) => server.close(resolve))
+  server.closeIdleConnections()
+
+  const importsFinished = await waitForImports(remaining() - INTERRUPT_GRACE)
+  if (!importsFinished) {
+    logger.warn("Interrupting imports", { imports: interruptImports() })
+    await waitForImports(remaining())
+  }
+
+  let timer
+  const drained = await Promise.race([
+    closed.then(() => true),
+    new Promise((resolve) => {
+      timer = setTimeout(() => resolve(false), remaining())
+    }),
+  ])
+  clearTimeout(timer)
+  if (!drained) {
+    // Long-lived responses (e.g. upload progress streams) reconnect elsewhere
+    logger.warn("Closing connections still open at the shutdown deadline")
+    server.closeAllConnections()
+  }
+
+  await flushSearchTermsRefresh()
+  await Promise.allSettled([prisma.$disconnect(), cache.close()])
+  logger.info("Shutdown complete")
+  process.exit(0)
+}
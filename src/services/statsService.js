@@ -0,0 +1,244 @@
+import { prisma } from "../utils/prisma.js"
+import { Prisma } from "@prisma/client"
+import { cache } from "../utils/cache.js"
+import { transactionCacheTags } from "../utils/transactionCache.js"
+import { resolveSearchTerms } from "./searchService.js"
+import { buildTransactionWhereSql } from "./transactionService.js"
+import { statsSource } from "./rollupService.js"
+
+export const TIMESERIES_INTERVALS = ["day", "week", "month"]
+
+// Dimensions a breakdown can group by -> SQL expression
+export const BREAKDOWN_DIMENSIONS = {
+  customerRegion: Prisma.sql`"customerRegion"`,
+  gender: Prisma.sql`"gender"`,
+  productCategory: Prisma.sql`"productCategory"`,
+  paymentMethod: Prisma.sql`"paymentMethod"`,
+  storeId: Prisma.sql`"storeId"`,
+  storeLocation: Prisma.sql`"storeLocation"`,
+  brand: Prisma.sql`"brand"`,
+  employeeName: Prisma.sql`"employeeName"`,
+  customerType: Prisma.sql`"customerType"`,
+  deliveryType: Prisma.sql`"deliveryType"`,
+  orderStatus: Prisma.sql`"orderStatus"`,
+  ageBand: Prisma.sql`CASE
+    WHEN "age" < 18 THEN 'under 18'
+    WHEN "age" < 25 THEN '18-24'
+    WHEN "age" < 35 THEN '25-34'
+    WHEN "age" < 45 THEN '35-44'
+    WHEN "age" < 55 THEN '45-54'
+    WHEN "age" < 65 THEN '55-64'
+    ELSE '65+'
+  END`,
+}
+
+// Metrics a breakdown can be sorted by -> SQL expression over the grouped columns
+const BREAKDOWN_METRICS = {
+  units: Prisma.sql`"units"`,
+  gross: Prisma.sql`"gross"`,
+  net: Prisma.sql`"net"`,
+  discount: Prisma.sql`("gross" - "net")`,
+  transactions: Prisma.sql`"transactions"`,
+  averageOrderValue: Prisma.sql`("net" / "transactions")`,
+}
+
+const MAX_BREAKDOWN_DIMENSIONS = 3
+const MAX_BREAKDOWN_LIMIT = 100
+
+/**
+ * Get revenue and volume per day, week or month
+ * Transaction dates are calendar dates with no time of day, so each one falls in the
+ * bucket of its own date whatever the caller's timezone. Weeks start on Monday. Buckets without
+ * transactions are included with zero values, from the `dateFrom` filter (or the first
+ * matching transaction) to `dateTo` (or the last one).
+ * Served from the daily_sales rollup when the search and filters allow (see canUseRollup).
+ * @param {Object} params - { search, filters, interval }
+ * @returns {Promise<Object>} - { interval, buckets: [{ start, units, gross, net, discount, transactions, averageOrderValue }] }
+ */
+export async function getTimeseries({ search = "", filters = {}, interval = "day" }) {
+  const cacheKey = cache.generateKey("timeseries", { search, filters, interval })
+  const cached = await cache.get(cacheKey)
+  if (cached) {
+    return cached
+  }
+
+  const searchTerms = await resolveSearchTerms(search)
+  const where = buildTransactionWhereSql({ searchTerms, filters })
+  const source = statsSource({ searchTerms, filters })
+
+  const bucketOf = (date) => Prisma.sql`date_trunc(${interval}, ${date}::timestamp)`
+  const from = filters.date?.from ? bucketOf(Prisma.sql`${filters.date.from}::date`) : Prisma.sql`NULL::timestamp`
+  const to = filters.date?.to ? bucketOf(Prisma.sql`${filters.date.to}::date`) : Prisma.sql`NULL::timestamp`
+
+  const rows = await prisma.$queryRaw`
+    WITH "buckets" AS (
+      SELECT
+        ${bucketOf(Prisma.sql`"date"`)} AS "start",
+        ${source.transactions}::int AS "transactions",
+        sum("quantity")::bigint AS "units",
+        sum("totalAmount") AS "gross",
+        sum("finalAmount") AS "net"
+      FROM ${source.from}
+      WHERE ${where}
+      GROUP BY 1
+    ),
+    "bounds" AS (
+      SELECT coalesce(${from}, min("start")) AS "first", coalesce(${to}, max("start")) AS "last"
+      FROM "buckets"
+    )
+    SELECT
+      to_char("series"."start", 'YYYY-MM-DD') AS "start",
+      coalesce("buckets"."transactions", 0) AS "transactions",
+      coalesce("buckets"."units", 0) AS "units",
+      coalesce("buckets"."gross", 0) AS "gross",
+      coalesce("buckets"."net", 0) AS "net"
+    FROM "bounds"
+    CROSS JOIN generate_series("bounds"."first", "bounds"."last", ${`1 ${interval}`}::interval) AS "series"("start")
+    LEFT JOIN "buckets" ON "buckets"."start" = "series"."start"
+    ORDER BY "series"."start"
+  `
+
+  const result = {
+    interval,
+    buckets: rows.map((row) => ({ start: row.start, ...formatMetrics(row) })),
+  }
+
+  await cache.set(cacheKey, result, { ttl: 30 * 1000, tags: transactionCacheTags(filters) })
+
+  return result
+}
+
+/**
+ * Validate breakdown query parameters
+ * @param {Object} query - { by, sort, limit } from the query string
+ * @returns {Object} - { params: { by, sort: { field, direction }, limit }, errors }
+ */
+export function validateBreakdownQuery({ by, sort = "net:desc", limit = "10" }) {
+  const errors = []
+
+  const dimensions = typeof by === "string" ? by.split(",").map((field) => field.trim()).filter(Boolean) : []
+  if (dimensions.length === 0) {
+    errors.push(`by is required: one or more of ${Object.keys(BREAKDOWN_DIMENSIONS).join(", ")}`)
+  } else if (dimensions.length > MAX_BREAKDOWN_DIMENSIONS) {
+    errors.push(`by accepts at most ${MAX_BREAKDOWN_DIMENSIONS} dimensions`)
+  }
+  for (const dimension of new Set(dimensions)) {
+    if (!BREAKDOWN_DIMENSIONS[dimension]) {
+      errors.push(`Unknown dimension "${dimension}". Allowed: ${Object.keys(BREAKDOWN_DIMENSIONS).join(", ")}`)
+    }
+  }
+  if (new Set(dimensions).size !== dimensions.length) {
+    errors.push("by contains the same dimension more than once")
+  }
+
+  const [field, direction = "desc"] = typeof sort === "string" ? sort.split(":") : []
+  if (!BREAKDOWN_METRICS[field] && !dimensions.includes(field)) {
+    errors.push(`sort must be a metric (${Object.keys(BREAKDOWN_METRICS).join(", ")}) or one of the grouped dimensions`)
+  }
+  if (!["asc", "desc"].includes(direction)) {
+    errors.push("sort direction must be asc or desc")
+  }
+
+  const parsedLimit = Number(limit)
+  if (!Number.isInteger(parsedLimit) || parsedLimit < 1 || parsedLimit > MAX_BREAKDOWN_LIMIT) {
+    errors.push(`limit must be a whole number between 1 and ${MAX_BREAKDOWN_LIMIT}`)
+  }
+
+  return {
+    params: { by: dimensions, sort: { field, direction }, limit: parsedLimit },
+    errors,
+  }
+}
+
+/**
+ * Get aggregated statistics grouped by one or more dimensions
+ * Returns the top `limit` groups in sort order; every remaining group is summed into `other`.
+ * Served from the daily_sales rollup when the search, filters and dimensions allow.
+ * @param {Object} params - { search, filters, by, sort: { field, direction }, limit } (from validateBreakdownQuery)
+ * @returns {Promise<Object>} - { by, sort, limit, groups: [{ key, ...metrics }], other: { groups, ...metrics } | null }
+ */
+export async function getBreakdown({ search = "", filters = {}, by, sort = { field: "net", direction: "desc" }, limit = 10 }) {
+  // `by` is joined so the cache key keeps the dimension order
+  const cacheKey = cache.generateKey("breakdown", { search, filters, by: by.join(","), sort, limit })
+  const cached = await cache.get(cacheKey)
+  if (cached) {
+    return cached
+  }
+
+  const searchTerms = await resolveSearchTerms(search)
+  const where = buildTransactionWhereSql({ searchTerms, filters })
+  const source = statsSource({ searchTerms, filters, dimensions: by })
+
+  // Dimension values are selected as "d0", "d1", ... and mapped back to their names below
+  const columns = by.map((_, index) => Prisma.raw(`"d${index}"`))
+  const selectDimensions = Prisma.join(by.map((dimension, index) => Prisma.sql`${BREAKDOWN_DIMENSIONS[dimension]} AS ${columns[index]}`))
+  const sortExpression = BREAKDOWN_METRICS[sort.field] || columns[by.indexOf(sort.field)]
+  const direction = Prisma.raw(sort.direction === "asc" ? "ASC" : "DESC")
+
+  const rows = await prisma.$queryRaw`
+    WITH "groups" AS (
+      SELECT
+        ${selectDimensions},
+        ${source.transactions}::int AS "transactions",
+        sum("quantity")::bigint AS "units",
+        sum("totalAmount") AS "gross",
+        sum("finalAmount") AS "net"
+      FROM ${source.from}
+      WHERE ${where}
+      GROUP BY ${Prisma.join(columns)}
+    ),
+    "ranked" AS (
+      SELECT *, row_number() OVER (ORDER BY ${sortExpression} ${direction} NULLS LAST, ${Prisma.join(columns)}) AS "rank"
+      FROM "groups"
+    )
+    SELECT
+      ${Prisma.join(columns)}, "transactions", "units", "gross", "net", 1::int AS "groupCount", false AS "isOther", "rank"
+    FROM "ranked"
+    WHERE "rank" <= ${limit}
+    UNION ALL
+    SELECT
+      ${Prisma.join(columns.map(() => Prisma.sql`NULL`))}, sum("transactions")::int, sum("units")::bigint, sum("gross"), sum("net"), count(*)::int, true, ${limit + 1}
+    FROM "ranked"
+    WHERE "rank" > ${limit}
+    HAVING count(*) > 0
+    ORDER BY "rank"
+  `
+
+  const otherRow = rows.find((row) => row.isOther)
+  const result = {
+    by,
+    sort: `${sort.field}:${sort.direction}`,
+    limit,
+    groups: rows
+      .filter((row) => !row.isOther)
+      .map((row) => ({
+        key: Object.fromEntries(by.map((dimension, index) => [dimension, row[`d${index}`]])),
+        ...formatMetrics(row),
+      })),
+    other: otherRow ? { groups: otherRow.groupCount, ...formatMetrics(otherRow) } : null,
+  }
+
+  await cache.set(cacheKey, result, { ttl: 30 * 1000, tags: transactionCacheTags(filters) })
+
+  return result
+}
+
+/**
+ * Metrics of an aggregated row (transactions, units, gross, net) with the derived discount and average order value
+ */
+function formatMetrics(row) {
+  const gross = Number(row.gross)
+  const net = Number(row.net)
+  return {
+    units: Number(row.units),
+    gross,
+    net,
+    discount: roundAmount(gross - net),
+    transactions: row.transactions,
+    averageOrderValue: row.transactions > 0 ? roundAmount(net / row.transactions) : 0,
+  }
+}
+
+function roundAmount(value) {
+  return Math.round(value * 100) / 100
+}
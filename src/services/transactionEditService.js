@@ -0,0 +1,275 @@
+import { prisma } from "../utils/prisma.js"
+import { invalidateTransactionCache } from "../utils/transactionCache.js"
+import { TRANSACTION_SCHEMA, TRANSACTION_FIELDS, validateTransactionInput, diffFields } from "../utils/transactionSchema.js"
+import { DIMENSIONS, saveDimensions, toTransactionRecord } from "./dimensionService.js"
+import { scheduleSearchTermsRefresh } from "./searchService.js"
+
+/**
+ * Single-transaction reads, edits and deletions
+ * Every edit and deletion is recorded in transaction_changes with who made it and
+ * each field's old and new value. Customer, product, store and employee attributes
+ * are shared: editing them on one transaction updates them everywhere, as imports do.
+ */
+
+// Amounts derived from quantity, price and discount rather than edited directly
+const AMOUNT_INPUTS = ["quantity", "pricePerUnit", "discountPercentage"]
+const DERIVED_AMOUNTS = ["totalAmount", "finalAmount"]
+
+/**
+ * Thrown when requested changes to a transaction are invalid
+ */
+export class TransactionValidationError extends Error {
+  constructor(errors) {
+    super("Invalid transaction")
+    this.status = 400
+    this.errors = errors
+  }
+}
+
+/**
+ * Get one transaction with every field
+ * @param {string} transactionId - Transaction ID
+ * @returns {Promise<Object|null>} - Transaction, or null if not found
+ */
+export async function getTransaction(transactionId) {
+  const row = await prisma.transactionDetail.findUnique({ where: { transactionId } })
+  return row ? formatTransaction(row) : null
+}
+
+/**
+ * Change some fields of a transaction
+ * totalAmount and finalAmount are recalculated when quantity, price or discount change.
+ * The row is locked while it is read and written, so concurrent edits apply one after the
+ * other, each to the values the previous one stored. Changing customerId, productId, storeId
+ * or salespersonId points the transaction at another customer, product, store or employee
+ * without copying the previous one's attributes; one that does not exist yet is created from
+ * the attributes in the input, which must then include the required ones.
+ * @param {string} transactionId - Transaction ID
+ * @param {Object} input - Raw values keyed by field
+ * @param {string|null} changedBy - Email of the editing user
+ * @returns {Promise<Object|null>} - { transaction, changes: { field: { from, to } } }, or null if not found
+ * @throws {TransactionValidationError} - With every problem found
+ */
+export async function updateTransaction(transactionId, input, changedBy = null) {
+  const data = validateChanges(input)
+
+  const result = await prisma.$transaction(async (tx) => {
+    const existing = await findForUpdate(tx, transactionId)
+    if (!existing) {
+      return null
+    }
+
+    const row = { ...pickFields(existing), ...data }
+    if (AMOUNT_INPUTS.some((field) => field in data)) {
+      Object.assign(row, calculateAmounts(row))
+    }
+
+    const changed = Object.keys(diffFields(existing, row, TRANSACTION_FIELDS, { merge: false }))
+    if (changed.length === 0) {
+      return { existing, row, changes: {}, keys: null }
+    }
+
+    const changes = Object.fromEntries(
+      changed.map((field) => [field, { from: toJsonValue(field, existing[field]), to: toJsonValue(field, row[field]) }])
+    )
+
+    const referenceErrors = await checkNewReferences(tx, existing, row, data)
+    if (referenceErrors.length > 0) {
+      throw new TransactionValidationError(referenceErrors)
+    }
+
+    const keys = await saveDimensions([dimensionValues(row, data)], { merge: false, client: tx })
+    await tx.transaction.update({ where: { transactionId }, data: toTransactionRecord(row, keys) })
+    await tx.transactionChange.create({ data: { transactionId, action: "update", changes, changedBy } })
+    return { existing, row, changes, keys }
+  })
+
+  if (!result) {
+    return null
+  }
+  const { existing, row, changes, keys } = result
+  if (Object.keys(changes).length === 0) {
+    return { transaction: formatTransaction(existing), changes }
+  }
+
+  // Drop cached results for the old and new dates (all dates when shared attributes changed)
+  // and pick up changed search words
+  const dates = [existing.date, row.date].sort((a, b) => a - b)
+  await invalidateTransactionCache({ from: dates[0], to: dates[1], all: keys.updated })
+  scheduleSearchTermsRefresh()
+
+  return { transaction: await getTransaction(transactionId), changes }
+}
+
+/**
+ * Delete a transaction, keeping its values in the change history
+ * @param {string} transactionId - Transaction ID
+ * @param {string|null} deletedBy - Email of the deleting user
+ * @returns {Promise<boolean>} - False if not found
+ */
+export async function deleteTransaction(transactionId, deletedBy = null) {
+  const existing = await prisma.$transaction(async (tx) => {
+    const existing = await findForUpdate(tx, transactionId)
+    if (!existing) {
+      return null
+    }
+
+    const changes = Object.fromEntries(
+      TRANSACTION_FIELDS.map((field) => [field, { from: toJsonValue(field, existing[field]), to: null }])
+    )
+    await tx.transaction.delete({ where: { transactionId } })
+    await tx.transactionChange.create({ data: { transactionId, action: "delete", changes, changedBy: deletedBy } })
+    return existing
+  })
+  if (!existing) {
+    return false
+  }
+
+  await invalidateTransactionCache({ from: existing.date, to: existing.date })
+  scheduleSearchTermsRefresh()
+
+  return true
+}
+
+/**
+ * Get the change history of a transaction, newest first (also for deleted transactions)
+ * @param {string} transactionId - Transaction ID
+ * @returns {Promise<Array>} - Changes: { action, changes, changedBy, changedAt }
+ */
+export async function getTransactionHistory(transactionId) {
+  return prisma.transactionChange.findMany({
+    where: { transactionId },
+    orderBy: { changedAt: "desc" },
+    select: { action: true, changes: true, changedBy: true, changedAt: true },
+  })
+}
+
+/**
+ * Lock a transaction's row for the rest of the database transaction and read it with every field
+ * @returns {Promise<Object|null>} - Current values, or null if not found
+ */
+async function findForUpdate(tx, transactionId) {
+  const locked = await tx.$queryRaw`SELECT 1 FROM "transactions" WHERE "transactionId" = ${transactionId} FOR UPDATE`
+  if (locked.length === 0) {
+    return null
+  }
+  return tx.transactionDetail.findUnique({ where: { transactionId } })
+}
+
+/**
+ * Customer, product, store and employee values to save for an edit: the references of the
+ * edited row and only the attributes the edit sets (a fallback identity, e.g. a store
+ * location without a store ID, is kept as it identifies the row)
+ */
+function dimensionValues(row, data) {
+  const values = {}
+  for (const { key, fallbackKey, fields } of Object.values(DIMENSIONS)) {
+    values[key] = row[key]
+    if (fallbackKey && row[key] === null) {
+      values[fallbackKey] = row[fallbackKey]
+    }
+    for (const field of fields) {
+      if (field in data) values[field] = data[field]
+    }
+  }
+  return values
+}
+
+/**
+ * A customer, product, store or employee ID the edit switches to must exist, or the edit must
+ * carry the attributes required to create it
+ * @returns {Promise<Array>} - Errors: [{ field, message }]
+ */
+async function checkNewReferences(tx, existing, row, data) {
+  const errors = []
+  for (const { model, key, fields } of Object.values(DIMENSIONS)) {
+    if (row[key] === null || row[key] === existing[key]) continue
+
+    const missing = fields.filter((field) => TRANSACTION_SCHEMA[field].required && data[field] == null)
+    if (missing.length === 0) continue
+    if (!(await tx[model].findFirst({ where: { [key]: row[key] }, select: { [key]: true } }))) {
+      errors.push({ field: key, message: `${key} "${row[key]}" does not exist; include ${missing.join(", ")} to create it` })
+    }
+  }
+  return errors
+}
+
+/**
+ * Validate the fields of an edit request
+ * @returns {Object} - Coerced values keyed by field
+ * @throws {TransactionValidationError}
+ */
+function validateChanges(input) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    throw new TransactionValidationError([{ field: null, message: "Request body must be an object of fields to change" }])
+  }
+
+  const errors = []
+  for (const field of Object.keys(input)) {
+    if (!TRANSACTION_SCHEMA[field]) {
+      errors.push({ field, message: `${field} is not a transaction field` })
+    } else if (field === "transactionId") {
+      errors.push({ field, message: "transactionId cannot be changed" })
+    } else if (DERIVED_AMOUNTS.includes(field)) {
+      errors.push({ field, message: `${field} is calculated from ${AMOUNT_INPUTS.join(", ")}` })
+    }
+  }
+  if (Object.keys(input).length === 0) {
+    errors.push({ field: null, message: "No fields to change" })
+  }
+
+  const { data, issues } = validateTransactionInput(input, { partial: true })
+  errors.push(...issues.filter((issue) => !errors.some((error) => error.field === issue.field)))
+
+  if (errors.length > 0) {
+    throw new TransactionValidationError(errors)
+  }
+  return data
+}
+
+/**
+ * Gross and net amounts for a row's quantity, unit price and discount, to the cent
+ * @throws {TransactionValidationError} - When an amount is out of range
+ */
+function calculateAmounts({ quantity, pricePerUnit, discountPercentage }) {
+  const totalAmount = Math.round(quantity * Number(pricePerUnit) * 100) / 100
+  const finalAmount = Math.round(totalAmount * (100 - Number(discountPercentage))) / 100
+
+  const { data, issues } = validateTransactionInput({ totalAmount, finalAmount }, { partial: true })
+  if (issues.length > 0) {
+    throw new TransactionValidationError(issues)
+  }
+  return data
+}
+
+function pickFields(row) {
+  return Object.fromEntries(TRANSACTION_FIELDS.map((field) => [field, row[field]]))
+}
+
+/**
+ * Shape a stored row for responses: every transaction field, plain numbers and dates
+ */
+function formatTransaction(row) {
+  const transaction = {}
+  for (const field of TRANSACTION_FIELDS) {
+    transaction[field] = toJsonValue(field, row[field])
+  }
+  return {
+    ...transaction,
+    uploadId: row.uploadId,
+    createdAt: row.createdAt.toISOString(),
+    updatedAt: row.updatedAt.toISOString(),
+  }
+}
+
+function toJsonValue(field, value) {
+  if (value === null || value === undefined) return null
+  switch (TRANSACTION_SCHEMA[field].type) {
+    case "decimal":
+      return Number(value)
+    case "date":
+      return value.toISOString().split("T")[0]
+    default:
+      return value
+  }
+}
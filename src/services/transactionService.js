@@ -1,5 +1,33 @@
 import { prisma } from "../utils/prisma.js"
+import { Prisma } from "@prisma/client"
 import { cache } from "../utils/cache.js"
+import { transactionCacheTags } from "../utils/transactionCache.js"
+import { compileTransactionFilters, compileTransactionFiltersSql } from "../utils/transactionFilters.js"
+import { resolveSearchTerms, buildSearchConditions, buildSearchSql, findTransactionIdsByRelevance } from "./searchService.js"
+import { encodeCursor, decodeCursor, InvalidCursorError } from "../utils/cursor.js"
+import { TRANSACTION_SCHEMA } from "../utils/transactionSchema.js"
+import { DEFAULT_SORT, isNullableSortField } from "../utils/transactionSort.js"
+import { canUseRollup } from "./rollupService.js"
+
+// Columns returned by the transaction list
+const LIST_SELECT = {
+  transactionId: true,
+  date: true,
+  customerId: true,
+  customerName: true,
+  phoneNumber: true,
+  gender: true,
+  age: true,
+  productCategory: true,
+  quantity: true,
+  totalAmount: true,
+  customerRegion: true,
+  productId: true,
+  employeeName: true,
+}
+
+// Sortable DateTime columns (cursor values are decoded back into dates)
+const DATE_SORT_FIELDS = new Set(["date", "createdAt", "updatedAt"])
 
 /**
  * Get transactions with search, filter, sort, and pagination
@@ -11,142 +39,16 @@ export async function getTransactions({
   pageSize = 10,
   search = "",
   filters = {},
-  sortBy = "customerName",
-  sortOrder = "asc",
+  sort = DEFAULT_SORT,
 }) {
   const skip = (page - 1) * pageSize
   const take = pageSize
 
-  // Build where clause
-  const where = {}
-  const andConditions = []
-
-  if (search && search.trim().length >= 2) {
-    const searchTerm = search.trim()
-    
-    if (/^\d+$/.test(searchTerm)) {
-      andConditions.push({
-        phoneNumber: {
-          startsWith: searchTerm,
-        },
-      })
-    } else {
-      const words = searchTerm.split(/\s+/).filter(w => w.length > 0)
-      const firstWord = words[0]
-      
-      if (words.length === 1) {
-        andConditions.push({
-          customerName: {
-            startsWith: firstWord,
-            mode: "insensitive",
-          },
-        })
-      } else {
-        andConditions.push({
-          customerName: {
-            startsWith: firstWord,
-            mode: "insensitive",
-          },
-        })
-      }
-    }
-  } else if (search && search.trim().length === 1) {
-
-    andConditions.push({
-      phoneNumber: {
-        startsWith: search.trim(),
-      },
-    })
-  }
-
-
-  if (filters.tags && filters.tags.length > 0) {
-    const tagConditions = filters.tags.map((tag) => ({
-      tags: {
-        contains: tag,
-      },
-    }))
-    andConditions.push({
-      OR: tagConditions,
-    })
-  }
-
-  // Region filter - add to AND conditions to ensure proper combination
-  if (filters.regions && filters.regions.length > 0) {
-    andConditions.push({
-      customerRegion: {
-        in: filters.regions,
-      },
-    })
-  }
-
-  // Gender filter
-  if (filters.genders && filters.genders.length > 0) {
-    andConditions.push({
-      gender: {
-        in: filters.genders,
-      },
-    })
-  }
-
-  // Age range filter
-  if (filters.ageRange && filters.ageRange.length === 2) {
-    andConditions.push({
-      age: {
-        gte: filters.ageRange[0],
-        lte: filters.ageRange[1],
-      },
-    })
-  }
-
-  // Category filter
-  if (filters.categories && filters.categories.length > 0) {
-    andConditions.push({
-      productCategory: {
-        in: filters.categories,
-      },
-    })
-  }
-
-  // Payment method filter
-  if (filters.paymentMethods && filters.paymentMethods.length > 0) {
-    andConditions.push({
-      paymentMethod: {
-        in: filters.paymentMethods,
-      },
-    })
-  }
-
-  // Date range filter
-  if (filters.dateRange && filters.dateRange.length === 2) {
-    andConditions.push({
-      date: {
-        gte: new Date(filters.dateRange[0]),
-        lte: new Date(filters.dateRange[1]),
-      },
-    })
-  }
-
-  // Combine all AND conditions
-  if (andConditions.length > 0) {
-    where.AND = andConditions
-  }
-
-  // Build orderBy clause
-  let orderBy = {}
-  switch (sortBy) {
-    case "date":
-      orderBy = { date: sortOrder }
-      break
-    case "quantity":
-      orderBy = { quantity: sortOrder }
-      break
-    case "customerName":
-      orderBy = { customerName: sortOrder }
-      break
-    default:
-      orderBy = { customerName: "asc" }
-  }
+  const searchTerms = await resolveSearchTerms(search)
+  const where = buildTransactionWhere({ searchTerms, filters })
+  const orderBy = buildTransactionOrderBy(sort)
+  // Relevance needs a search to rank against; without one the default sort applies
+  const sortByRelevance = isRelevanceSort(sort) && searchTerms.length > 0
 
   // Execute queries with timeout protection and optimized count query
   // For count, use a faster approach - limit to reasonable number for pagination
@@ -158,27 +60,15 @@ export async function getTransactions({
   try {
     // Execute findMany first (with limit) - this is usually faster
     // Then do count only if we got results (optimization)
-    const transactionsPromise = prisma.transaction.findMany({
-      where,
-      orderBy,
-      skip,
-      take,
-      select: {
-        transactionId: true,
-        date: true,
-        customerId: true,
-        customerName: true,
-        phoneNumber: true,
-        gender: true,
-        age: true,
-        productCategory: true,
-        quantity: true,
-        totalAmount: true,
-        customerRegion: true,
-        productId: true,
-        employeeName: true,
-      },
-    })
+    const transactionsPromise = sortByRelevance
+      ? findTransactionsByRelevance({ searchTerms, filters, skip, take })
+      : prisma.transactionDetail.findMany({
+        where,
+        orderBy,
+        skip,
+        take,
+        select: LIST_SELECT,
+      })
 
     const transactions = await Promise.race([transactionsPromise, timeoutPromise])
     
@@ -188,15 +78,15 @@ export async function getTransactions({
       totalCount = transactions.length
     } else {
 
-      const countPromise = prisma.transaction.count({ where })
+      const countPromise = cache.wrap(
+        cache.generateKey("count", { search, filters }),
+        { ttl: 30 * 1000, tags: transactionCacheTags(filters) },
+        () => prisma.transactionDetail.count({ where })
+      )
       totalCount = await Promise.race([countPromise, timeoutPromise])
     }
 
-    const formattedTransactions = transactions.map((t) => ({
-      ...t,
-      totalAmount: Number(t.totalAmount),
-      date: t.date.toISOString().split("T")[0],
-    }))
+    const formattedTransactions = transactions.map(formatListRow)
 
     return {
       transactions: formattedTransactions,
@@ -225,11 +115,287 @@ export async function getTransactions({
   }
 }
 
+/**
+ * Get one page of transactions using keyset (cursor) pagination
+ * Pages are located by the sort-key values of the last row seen instead of an offset,
+ * and no total count is computed, so deep pages cost the same as the first one.
+ * @param {Object} params - { cursor, limit, search, filters, sort }
+ * @returns {Promise<Object>} - Transactions and { limit, nextCursor, previousCursor }
+ * @throws {InvalidCursorError} - If the cursor is malformed or was issued for another sort
+ */
+export async function getTransactionsByCursor({
+  cursor = null,
+  limit = 20,
+  search = "",
+  filters = {},
+  sort = DEFAULT_SORT,
+}) {
+  if (isRelevanceSort(sort) && search) {
+    throw new InvalidCursorError("Cursor pagination does not support relevance sort")
+  }
+
+  const sortKeys = resolveSortKeys(sort)
+  const signature = sortKeys.map(({ field, direction }) => `${field}:${direction}`).join(",")
+
+  let position = null
+  let backward = false
+  if (cursor) {
+    const decoded = decodeCursor(cursor)
+    if (decoded.sort !== signature || decoded.values.length !== sortKeys.length) {
+      throw new InvalidCursorError("Cursor does not match the requested sort")
+    }
+    position = decoded.values.map((value, index) => parseCursorValue(sortKeys[index].field, value))
+    backward = decoded.direction === "prev"
+  }
+
+  // Paging backwards walks the reversed order (NULLs included), then flips the page
+  const queryKeys = backward
+    ? sortKeys.map(({ field, direction, nulls }) => ({
+      field,
+      direction: direction === "asc" ? "desc" : "asc",
+      nulls: nulls && (nulls === "last" ? "first" : "last"),
+    }))
+    : sortKeys
+
+  const searchTerms = await resolveSearchTerms(search)
+  const where = buildTransactionWhere({ searchTerms, filters })
+  if (position) {
+    where.AND = [...(where.AND || []), buildKeysetCondition(queryKeys, position)]
+  }
+
+  const rows = await prisma.transactionDetail.findMany({
+    where,
+    orderBy: queryKeys.map(toOrderBy),
+    take: limit + 1,
+    select: {
+      ...LIST_SELECT,
+      ...Object.fromEntries(sortKeys.map(({ field }) => [field, true])),
+    },
+  })
+
+  const hasMore = rows.length > limit
+  const page = rows.slice(0, limit)
+  if (backward) page.reverse()
+
+  const cursorFor = (row, direction) => encodeCursor({
+    sort: signature,
+    values: sortKeys.map(({ field }) => row[field]),
+    direction,
+  })
+  const first = page[0]
+  const last = page[page.length - 1]
+
+  return {
+    transactions: page.map(formatListRow),
+    pagination: {
+      limit,
+      // Coming back from a later page means there is always a next page
+      nextCursor: last && (backward || hasMore) ? cursorFor(last, "next") : null,
+      previousCursor: first && (backward ? hasMore : position !== null) ? cursorFor(first, "prev") : null,
+    },
+  }
+}
+
+/**
+ * Prisma condition selecting rows after a position in the given sort order
+ * (a > x) OR (a = x AND b > y) OR ..., where NULLs sort after (nulls "last") or
+ * before (nulls "first") every value of a nullable key
+ */
+function buildKeysetCondition(sortKeys, values) {
+  const branches = sortKeys
+    .map((key, index) => {
+      const after = buildAfterCondition(key, values[index])
+      if (!after) return null
+      return {
+        AND: [
+          ...sortKeys.slice(0, index).map((previous, j) => ({ [previous.field]: values[j] })),
+          after,
+        ],
+      }
+    })
+    .filter(Boolean)
+
+  const condition = { OR: branches }
+
+  // Lead with a range on the first key so an index can be used
+  const [first] = sortKeys
+  if (!first.nulls && values[0] !== null) {
+    return {
+      AND: [{ [first.field]: { [first.direction === "asc" ? "gte" : "lte"]: values[0] } }, condition],
+    }
+  }
+  return condition
+}
+
+/**
+ * Condition for rows strictly after a value on one sort key (null when nothing can follow)
+ */
+function buildAfterCondition({ field, direction, nulls }, value) {
+  const comparison = direction === "asc" ? "gt" : "lt"
+  if (value === null) {
+    return nulls === "first" ? { NOT: { [field]: null } } : null
+  }
+  if (nulls === "last") {
+    return { OR: [{ [field]: { [comparison]: value } }, { [field]: null }] }
+  }
+  return { [field]: { [comparison]: value } }
+}
+
+function parseCursorValue(field, value) {
+  if (value === null) {
+    if (!isNullableSortField(field)) throw new InvalidCursorError()
+    return null
+  }
+  if (!["string", "number"].includes(typeof value)) {
+    throw new InvalidCursorError()
+  }
+  if (DATE_SORT_FIELDS.has(field)) {
+    const date = new Date(value)
+    if (isNaN(date.getTime())) throw new InvalidCursorError()
+    return date
+  }
+  if (TRANSACTION_SCHEMA[field]?.type === "integer" && !Number.isInteger(value)) {
+    throw new InvalidCursorError()
+  }
+  return value
+}
+
+/**
+ * Shape a row for the list response (only the list columns, plain numbers and dates)
+ */
+function formatListRow(row) {
+  const formatted = {}
+  for (const field of Object.keys(LIST_SELECT)) {
+    formatted[field] = row[field]
+  }
+  formatted.totalAmount = Number(row.totalAmount)
+  formatted.date = row.date.toISOString().split("T")[0]
+  return formatted
+}
+
+/**
+ * Read every transaction matching search and filters, in batches
+ * Uses keyset pagination (as getTransactionsByCursor) so memory stays bounded however many rows match.
+ * @param {Object} params - { search, filters, sort, batchSize }
+ * @returns {AsyncGenerator<Array>} - Batches of full transaction rows
+ */
+export async function* iterateTransactions({
+  search = "",
+  filters = {},
+  sort = DEFAULT_SORT,
+  batchSize = 1000,
+}) {
+  const searchTerms = await resolveSearchTerms(search)
+  const where = buildTransactionWhere({ searchTerms, filters })
+  // Relevance sort is not supported here; the id tie-breaker keeps the position unique
+  const sortKeys = resolveSortKeys(sort)
+  const orderBy = sortKeys.map(toOrderBy)
+
+  let position = null
+  while (true) {
+    const rows = await prisma.transactionDetail.findMany({
+      where: position
+        ? { ...where, AND: [...(where.AND || []), buildKeysetCondition(sortKeys, position)] }
+        : where,
+      orderBy,
+      take: batchSize,
+    })
+    if (rows.length === 0) return
+
+    yield rows
+
+    if (rows.length < batchSize) return
+    const last = rows[rows.length - 1]
+    position = sortKeys.map(({ field }) => last[field])
+  }
+}
+
+/**
+ * Find one page of transactions ordered by search relevance
+ */
+async function findTransactionsByRelevance({ searchTerms, filters, skip, take }) {
+  const transactionIds = await findTransactionIdsByRelevance({ searchTerms, filters, skip, take })
+  const rows = await prisma.transactionDetail.findMany({
+    where: { transactionId: { in: transactionIds } },
+    select: LIST_SELECT,
+  })
+
+  const position = new Map(transactionIds.map((id, index) => [id, index]))
+  return rows.sort((a, b) => position.get(a.transactionId) - position.get(b.transactionId))
+}
+
+/**
+ * Build the Prisma where clause for search and filters
+ * @param {Object} params - { searchTerms (from resolveSearchTerms), filters (from parseTransactionFilters) }
+ * @returns {Object} - Prisma where clause
+ */
+export function buildTransactionWhere({ searchTerms = [], filters = {} }) {
+  const where = {}
+  const andConditions = [
+    ...buildSearchConditions(searchTerms),
+    ...compileTransactionFilters(filters),
+  ]
+
+  // Combine all AND conditions
+  if (andConditions.length > 0) {
+    where.AND = andConditions
+  }
+
+  return where
+}
+
+/**
+ * Build the SQL equivalent of buildTransactionWhere, for queries Prisma cannot express
+ * @param {Object} params - { searchTerms, filters }
+ * @returns {Prisma.Sql} - Condition on the transactions table
+ */
+export function buildTransactionWhereSql({ searchTerms = [], filters = {} }) {
+  return Prisma.sql`${compileTransactionFiltersSql(filters)} AND ${buildSearchSql(searchTerms)}`
+}
+
+/**
+ * Build the Prisma orderBy clause for a sort
+ * Ends with `id` so rows with equal sort values always come back in the same order.
+ * @param {Array} sort - [{ field, direction }] from parseTransactionSort
+ * @returns {Array} - Prisma orderBy clause
+ */
+export function buildTransactionOrderBy(sort = DEFAULT_SORT) {
+  return resolveSortKeys(sort).map(toOrderBy)
+}
+
+/**
+ * Sort keys with NULL placement and the `id` tie-breaker
+ * Relevance is dropped (it is not a column); an empty sort falls back to the default.
+ */
+function resolveSortKeys(sort) {
+  const columns = sort.filter(({ field }) => field !== "relevance")
+  const keys = (columns.length > 0 ? columns : DEFAULT_SORT).map(({ field, direction }) => ({
+    field,
+    direction,
+    // NULLs always sort last, whichever the direction
+    nulls: isNullableSortField(field) ? "last" : undefined,
+  }))
+  return [...keys, { field: "id", direction: "asc" }]
+}
+
+function toOrderBy({ field, direction, nulls }) {
+  return { [field]: nulls ? { sort: direction, nulls } : direction }
+}
+
+function isRelevanceSort(sort) {
+  return sort.length === 1 && sort[0].field === "relevance"
+}
+
 /**
  * Get filter options (unique values for dropdowns)
+ * Tags come with the number of transactions carrying each one, counted in the database.
  * @returns {Promise<Object>} - Available filter options
  */
 export async function getFilterOptions() {
+  return cache.wrap("filterOptions:all", { ttl: 5 * 60 * 1000, tags: transactionCacheTags() }, loadFilterOptions)
+}
+
+async function loadFilterOptions() {
   const [
     regions,
     genders,
@@ -238,40 +404,34 @@ export async function getFilterOptions() {
     ageRange,
     tags,
   ] = await Promise.all([
-    prisma.transaction.findMany({
+    prisma.transactionDetail.findMany({
       select: { customerRegion: true },
       distinct: ["customerRegion"],
     }),
-    prisma.transaction.findMany({
+    prisma.transactionDetail.findMany({
       select: { gender: true },
       distinct: ["gender"],
     }),
-    prisma.transaction.findMany({
+    prisma.transactionDetail.findMany({
       select: { productCategory: true },
       distinct: ["productCategory"],
     }),
-    prisma.transaction.findMany({
+    prisma.transactionDetail.findMany({
       select: { paymentMethod: true },
       distinct: ["paymentMethod"],
     }),
-    prisma.transaction.aggregate({
+    prisma.transactionDetail.aggregate({
       _min: { age: true },
       _max: { age: true },
     }),
-    prisma.transaction.findMany({
-      where: { tags: { not: null } },
-      select: { tags: true },
-    }),
+    prisma.$queryRaw`
+      SELECT "tag", count(*)::int AS "count"
+      FROM "transactions", unnest("tags") AS "tag"
+      GROUP BY "tag"
+      ORDER BY "tag"
+    `,
   ])
 
-
-  const uniqueTags = new Set()
-  tags.forEach((t) => {
-    if (t.tags) {
-      t.tags.split(",").forEach((tag) => uniqueTags.add(tag.trim()))
-    }
-  })
-
   return {
     regions: regions.map((r) => r.customerRegion).sort(),
     genders: genders.map((g) => g.gender).sort(),
@@ -281,64 +441,30 @@ export async function getFilterOptions() {
       min: ageRange._min.age || 0,
       max: ageRange._max.age || 100,
     },
-    tags: Array.from(uniqueTags).sort(),
+    tags: tags.map((t) => t.tag),
+    tagCounts: Object.fromEntries(tags.map((t) => [t.tag, t.count])),
   }
 }
 
 /**
  * Get aggregated statistics
- * @param {Object} filters 
- * @returns {Promise<Object>} 
+ * Uses the same where clause as the transaction list so the totals match the table.
+ * Without a search, age or tag filter the totals come from the daily_sales rollup.
+ * @param {Object} params - { search, filters }
+ * @returns {Promise<Object>}
  */
-export async function getStats(filters = {}) {
-  const cacheKey = cache.generateKey('stats', filters)
-  const cached = cache.get(cacheKey)
+export async function getStats({ search = "", filters = {} } = {}) {
+  const cacheKey = cache.generateKey('stats', { search, filters })
+  const cached = await cache.get(cacheKey)
   if (cached) {
     return cached
   }
 
-  const where = {}
-  const andConditions = []
-
-  if (filters.regions && filters.regions.length > 0) {
-    andConditions.push({
-      customerRegion: { in: filters.regions }
-    })
-  }
-  if (filters.genders && filters.genders.length > 0) {
-    andConditions.push({
-      gender: { in: filters.genders }
-    })
-  }
-  if (filters.ageRange && filters.ageRange.length === 2) {
-    andConditions.push({
-      age: { gte: filters.ageRange[0], lte: filters.ageRange[1] }
-    })
-  }
-  if (filters.categories && filters.categories.length > 0) {
-    andConditions.push({
-      productCategory: { in: filters.categories }
-    })
-  }
-  if (filters.paymentMethods && filters.paymentMethods.length > 0) {
-    andConditions.push({
-      paymentMethod: { in: filters.paymentMethods }
-    })
-  }
-  if (filters.dateRange && filters.dateRange.length === 2) {
-    andConditions.push({
-      date: {
-        gte: new Date(filters.dateRange[0]),
-        lte: new Date(filters.dateRange[1]),
-      }
-    })
-  }
-
-  if (andConditions.length > 0) {
-    where.AND = andConditions
-  }
+  const searchTerms = await resolveSearchTerms(search)
+  const where = buildTransactionWhere({ searchTerms, filters })
+  const model = canUseRollup({ searchTerms, filters }) ? prisma.dailySale : prisma.transactionDetail
 
-  const stats = await prisma.transaction.aggregate({
+  const stats = await model.aggregate({
     where,
     _sum: {
       quantity: true,
@@ -357,7 +483,7 @@ export async function getStats(filters = {}) {
     totalDiscount,
   }
 
-  cache.set(cacheKey, result, 30 * 1000)
+  await cache.set(cacheKey, result, { ttl: 30 * 1000, tags: transactionCacheTags(filters) })
 
   return result
 }
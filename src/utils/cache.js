@@ -1,22 +1,33 @@
+import { MemoryCacheStore } from "./memoryCacheStore.js"
+import { RedisCacheStore } from "./redisCacheStore.js"
+import { logger } from "./logger.js"
+
 /**
- * Simple in-memory cache with TTL for stats queries
- * This significantly improves performance for repeated queries
+ * Cache for query results and token verifications
+ * Backed by Redis when REDIS_URL is set (shared by every API instance), otherwise by an
+ * in-process LRU store bounded by CACHE_MAX_ENTRIES and CACHE_MAX_BYTES.
+ * Entries can carry tags, so a data change invalidates only the entries it affects.
+ * Store errors are logged and treated as misses: the cache never fails a request.
  */
 
-class SimpleCache {
-  constructor() {
-    this.cache = new Map()
-    this.defaultTTL = 30 * 1000 // 30 seconds default TTL
+const DEFAULT_TTL = 30 * 1000 // 30 seconds
+
+class Cache {
+  constructor(store, backend) {
+    this.store = store
+    this.backend = backend
+    this.metrics = new Map() // namespace -> { hits, misses, sets, errors }
   }
 
   /**
    * Generate cache key from filters object
+   * The namespace (prefix) groups the metrics.
    */
   generateKey(prefix, filters) {
     // Sort filter arrays to ensure consistent keys
     const normalized = JSON.stringify(filters, (key, value) => {
       if (Array.isArray(value)) {
-        return value.sort()
+        return [...value].sort()
       }
       return value
     })
@@ -24,60 +35,159 @@ class SimpleCache {
   }
 
   /**
-   * Get value from cache
+   * Get a value
+   * @returns {Promise<*>} - Value, or null if missing or expired
    */
-  get(key) {
-    const item = this.cache.get(key)
-    if (!item) return null
-
-    // Check if expired
-    if (Date.now() > item.expiresAt) {
-      this.cache.delete(key)
+  async get(key) {
+    const counters = this.counters(key)
+    try {
+      const value = await this.store.get(key)
+      if (value === null || value === undefined) {
+        counters.misses++
+        return null
+      }
+      counters.hits++
+      return JSON.parse(value)
+    } catch (error) {
+      counters.errors++
+      counters.misses++
+      logger.error("Error reading cache", { error: error.message })
       return null
     }
+  }
 
-    return item.value
+  /**
+   * Store a JSON-serializable value
+   * @param {Object} options
+   * @param {number} options.ttl - Time to live in milliseconds
+   * @param {string[]} options.tags - Tags for invalidateTags
+   */
+  async set(key, value, { ttl = DEFAULT_TTL, tags = [] } = {}) {
+    const counters = this.counters(key)
+    try {
+      await this.store.set(key, JSON.stringify(value), ttl, tags)
+      counters.sets++
+    } catch (error) {
+      counters.errors++
+      logger.error("Error writing cache", { error: error.message })
+    }
   }
 
   /**
-   * Set value in cache with TTL
+   * Get a value, computing and storing it on a miss
+   * @param {Function} compute - Async function returning the value
    */
-  set(key, value, ttl = this.defaultTTL) {
-    this.cache.set(key, {
-      value,
-      expiresAt: Date.now() + ttl,
-    })
+  async wrap(key, options, compute) {
+    const cached = await this.get(key)
+    if (cached !== null) {
+      return cached
+    }
+
+    const value = await compute()
+    await this.set(key, value, options)
+    return value
+  }
+
+  /**
+   * Remove a single entry
+   */
+  async delete(key) {
+    try {
+      await this.store.delete(key)
+    } catch (error) {
+      logger.error("Error deleting from cache", { error: error.message })
+    }
+  }
+
+  /**
+   * Remove every entry carrying any of the tags
+   * @returns {Promise<number>} - Entries removed
+   */
+  async invalidateTags(tags) {
+    try {
+      return await this.store.invalidateTags(tags)
+    } catch (error) {
+      logger.error("Error invalidating cache", { error: error.message })
+      return 0
+    }
   }
 
   /**
    * Clear cache (useful for testing or manual invalidation)
    */
-  clear() {
-    this.cache.clear()
+  async clear() {
+    try {
+      await this.store.clear()
+    } catch (error) {
+      logger.error("Error clearing cache", { error: error.message })
+    }
   }
 
   /**
-   * Clean expired entries (call periodically)
+   * Hit/miss counters per namespace since the process started, and store usage
    */
-  clean() {
-    const now = Date.now()
-    for (const [key, item] of this.cache.entries()) {
-      if (now > item.expiresAt) {
-        this.cache.delete(key)
+  async getMetrics() {
+    const namespaces = {}
+    const totals = { hits: 0, misses: 0, sets: 0, errors: 0 }
+    for (const [namespace, counters] of this.metrics) {
+      namespaces[namespace] = { ...counters, hitRate: hitRate(counters) }
+      for (const name of Object.keys(totals)) {
+        totals[name] += counters[name]
       }
     }
+
+    let store
+    try {
+      store = await this.store.info()
+    } catch (error) {
+      store = { error: error.message }
+    }
+
+    return {
+      backend: this.backend,
+      ...totals,
+      hitRate: hitRate(totals),
+      namespaces,
+      store,
+    }
   }
-}
 
-// Export singleton instance
-export const cache = new SimpleCache()
+  /**
+   * Close the store's connection, if it has one (on shutdown)
+   */
+  async close() {
+    try {
+      await this.store.disconnect?.()
+    } catch (error) {
+      logger.error("Error closing cache", { error: error.message })
+    }
+  }
 
-// Clean expired entries every 5 minutes
-if (typeof setInterval !== 'undefined') {
-  setInterval(() => {
-    cache.clean()
-  }, 5 * 60 * 1000)
+  counters(key) {
+    const namespace = key.split(":")[0]
+    if (!this.metrics.has(namespace)) {
+      this.metrics.set(namespace, { hits: 0, misses: 0, sets: 0, errors: 0 })
+    }
+    return this.metrics.get(namespace)
+  }
 }
 
+function hitRate({ hits, misses }) {
+  return hits + misses > 0 ? Math.round((hits / (hits + misses)) * 1000) / 1000 : null
+}
 
+function createStore() {
+  if (process.env.REDIS_URL) {
+    return [new RedisCacheStore(process.env.REDIS_URL, { prefix: process.env.CACHE_PREFIX || "cache:" }), "redis"]
+  }
+  const store = new MemoryCacheStore({
+    maxEntries: Number(process.env.CACHE_MAX_ENTRIES) || undefined,
+    maxBytes: Number(process.env.CACHE_MAX_BYTES) || undefined,
+  })
+  // Clean expired entries every 5 minutes
+  setInterval(() => store.clean(), 5 * 60 * 1000).unref()
+  return [store, "memory"]
+}
 
+// Export singleton instance
+export const cache = new Cache(...createStore())
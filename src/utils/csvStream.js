@@ -0,0 +1,35 @@
+import { stringify } from "csv-stringify"
+import { once } from "events"
+import { pipeline } from "stream/promises"
+
+/**
+ * Stream batches of rows to a writable stream as CSV, with a header row
+ * Waits for the destination to drain when its buffer is full, and rejects (stopping the
+ * batch iterator) when it closes early, e.g. when the client goes away.
+ * @param {AsyncIterable<Array>} batches - Batches of rows (e.g. from a cursor-paged query)
+ * @param {Writable} output - Destination stream (e.g. the HTTP response)
+ * @param {Object} options
+ * @param {Array<string>} options.columns - Header row
+ * @param {Function} options.formatRow - Maps a row to its values, in column order
+ * @returns {Promise<number>} - Number of rows written
+ */
+export async function streamCsv(batches, output, { columns, formatRow }) {
+  const stringifier = stringify({ header: true, columns })
+  const done = pipeline(stringifier, output)
+  // Errors (e.g. client disconnects) surface when `done` is awaited below
+  done.catch(() => {})
+
+  let count = 0
+  for await (const rows of batches) {
+    for (const row of rows) {
+      if (!stringifier.write(formatRow(row))) {
+        await Promise.race([once(stringifier, "drain"), done])
+      }
+      count++
+    }
+  }
+
+  stringifier.end()
+  await done
+  return count
+}
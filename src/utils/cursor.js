@@ -0,0 +1,58 @@
+/**
+ * Opaque cursors for keyset pagination
+ * A cursor holds the sort signature and the sort-key values of the row a page
+ * starts after (or before), encoded as base64url JSON. Clients must treat it as opaque.
+ */
+
+/**
+ * Thrown when a cursor cannot be decoded or does not fit the request
+ */
+export class InvalidCursorError extends Error {
+  constructor(message = "Invalid cursor") {
+    super(message)
+    this.status = 400
+  }
+}
+
+/**
+ * Encode a cursor
+ * @param {Object} payload - { sort, values, direction }
+ * @returns {string} - Opaque cursor string
+ */
+export function encodeCursor({ sort, values, direction }) {
+  const json = JSON.stringify({
+    s: sort,
+    v: values.map(serializeValue),
+    d: direction,
+  })
+  return Buffer.from(json).toString("base64url")
+}
+
+/**
+ * Decode a cursor
+ * @param {string} cursor - Opaque cursor string
+ * @returns {Object} - { sort, values, direction }
+ * @throws {InvalidCursorError} - If the cursor is malformed
+ */
+export function decodeCursor(cursor) {
+  let payload
+  try {
+    payload = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"))
+  } catch {
+    throw new InvalidCursorError()
+  }
+
+  if (!payload || typeof payload.s !== "string" || !Array.isArray(payload.v) || !["next", "prev"].includes(payload.d)) {
+    throw new InvalidCursorError()
+  }
+  return { sort: payload.s, values: payload.v, direction: payload.d }
+}
+
+/**
+ * Dates as ISO strings, Decimals as strings, everything else as-is
+ */
+function serializeValue(value) {
+  if (value instanceof Date) return value.toISOString()
+  if (value !== null && typeof value === "object") return value.toString()
+  return value
+}
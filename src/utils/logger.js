@@ -0,0 +1,72 @@
+import { AsyncLocalStorage } from "async_hooks"
+
+/**
+ * Structured logger: one JSON object per line
+ * Every entry has `time`, `level` and `msg`, plus the fields of the current log context
+ * (the request ID while handling a request, see withLogContext). Entries below LOG_LEVEL
+ * (error, warn, info, debug; default info) are dropped. Errors and warnings go to stderr.
+ */
+
+const LEVELS = { error: 0, warn: 1, info: 2, debug: 3 }
+const DEFAULT_LEVEL = "info"
+
+const threshold = LEVELS[process.env.LOG_LEVEL?.toLowerCase()] ?? LEVELS[DEFAULT_LEVEL]
+const context = new AsyncLocalStorage()
+
+/**
+ * Run a function with fields added to every entry logged during it (including async work it starts)
+ * @param {Object} fields - e.g. { requestId }
+ * @param {Function} fn
+ */
+export function withLogContext(fields, fn) {
+  return context.run({ ...context.getStore(), ...fields }, fn)
+}
+
+/**
+ * Fields of the current log context
+ * @returns {Object}
+ */
+export function getLogContext() {
+  return context.getStore() || {}
+}
+
+function write(level, msg, fields = {}) {
+  if (LEVELS[level] > threshold) return
+
+  const entry = { time: new Date().toISOString(), level, msg, ...getLogContext() }
+  for (const [key, value] of Object.entries(fields)) {
+    entry[key] = value instanceof Error ? serializeError(value) : value
+  }
+
+  const line = `${safeStringify(entry)}\n`
+  if (LEVELS[level] <= LEVELS.warn) {
+    process.stderr.write(line)
+  } else {
+    process.stdout.write(line)
+  }
+}
+
+function serializeError(error) {
+  return {
+    name: error.name,
+    message: error.message,
+    ...(error.code !== undefined ? { code: error.code } : {}),
+    stack: error.stack,
+  }
+}
+
+function safeStringify(entry) {
+  try {
+    return JSON.stringify(entry, (_key, value) => (typeof value === "bigint" ? value.toString() : value))
+  } catch {
+    return JSON.stringify({ time: entry.time, level: entry.level, msg: entry.msg, logError: "Unserializable fields" })
+  }
+}
+
+export const logger = {
+  error: (msg, fields) => write("error", msg, fields),
+  warn: (msg, fields) => write("warn", msg, fields),
+  info: (msg, fields) => write("info", msg, fields),
+  debug: (msg, fields) => write("debug", msg, fields),
+  isLevelEnabled: (level) => LEVELS[level] <= threshold,
+}
@@ -0,0 +1,107 @@
+/**
+ * In-process cache store: least-recently-used eviction, bounded by entry count and bytes
+ * Values are stored serialized, so their size is known and callers cannot mutate them.
+ */
+export class MemoryCacheStore {
+  constructor({ maxEntries = 1000, maxBytes = 64 * 1024 * 1024 } = {}) {
+    this.maxEntries = maxEntries
+    this.maxBytes = maxBytes
+    this.entries = new Map() // key -> { value, bytes, expiresAt, tags }, least recently used first
+    this.tags = new Map() // tag -> Set of keys
+    this.bytes = 0
+    this.evictions = 0
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key)
+    if (!entry) return null
+
+    if (Date.now() > entry.expiresAt) {
+      this.remove(key)
+      return null
+    }
+
+    // Move to the most recently used end
+    this.entries.delete(key)
+    this.entries.set(key, entry)
+    return entry.value
+  }
+
+  async set(key, value, ttl, tags = []) {
+    this.remove(key)
+
+    const bytes = Buffer.byteLength(value)
+    if (bytes > this.maxBytes) return
+
+    this.entries.set(key, { value, bytes, expiresAt: Date.now() + ttl, tags })
+    this.bytes += bytes
+    for (const tag of tags) {
+      if (!this.tags.has(tag)) this.tags.set(tag, new Set())
+      this.tags.get(tag).add(key)
+    }
+
+    while (this.entries.size > this.maxEntries || this.bytes > this.maxBytes) {
+      this.remove(this.entries.keys().next().value)
+      this.evictions++
+    }
+  }
+
+  async delete(key) {
+    this.remove(key)
+  }
+
+  async invalidateTags(tags) {
+    let count = 0
+    for (const tag of tags) {
+      for (const key of this.tags.get(tag) || []) {
+        if (this.remove(key)) count++
+      }
+    }
+    return count
+  }
+
+  async clear() {
+    this.entries.clear()
+    this.tags.clear()
+    this.bytes = 0
+  }
+
+  /**
+   * Drop expired entries (called periodically; expired entries are also dropped when read)
+   */
+  clean() {
+    const now = Date.now()
+    for (const [key, entry] of this.entries) {
+      if (now > entry.expiresAt) {
+        this.remove(key)
+      }
+    }
+  }
+
+  async info() {
+    return {
+      entries: this.entries.size,
+      bytes: this.bytes,
+      maxEntries: this.maxEntries,
+      maxBytes: this.maxBytes,
+      evictions: this.evictions,
+    }
+  }
+
+  /**
+   * @returns {boolean} - Whether the key was present
+   */
+  remove(key) {
+    const entry = this.entries.get(key)
+    if (!entry) return false
+
+    this.entries.delete(key)
+    this.bytes -= entry.bytes
+    for (const tag of entry.tags) {
+      const keys = this.tags.get(tag)
+      keys?.delete(key)
+      if (keys?.size === 0) this.tags.delete(tag)
+    }
+    return true
+  }
+}
@@ -0,0 +1,95 @@
+import client from "prom-client"
+import { cache } from "./cache.js"
+
+/**
+ * Prometheus metrics, served at GET /metrics
+ * Counters and histograms are per process; with several workers each one is scraped
+ * separately (or summed by Prometheus). Labels only take bounded values: route
+ * patterns rather than URLs, model names, import outcomes.
+ */
+
+export const registry = new client.Registry()
+
+// Process CPU, memory, event loop lag and GC
+client.collectDefaultMetrics({ register: registry })
+
+// Most API requests take milliseconds; exports and uploads can take minutes
+const REQUEST_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 120]
+const QUERY_BUCKETS = [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30]
+const IMPORT_BUCKETS = [1, 5, 15, 30, 60, 120, 300, 600, 1800]
+
+export const httpRequests = new client.Counter({
+  name: "http_requests_total",
+  help: "HTTP requests by method, route pattern and status code",
+  labelNames: ["method", "route", "status"],
+  registers: [registry],
+})
+
+export const httpRequestDuration = new client.Histogram({
+  name: "http_request_duration_seconds",
+  help: "HTTP request latency by method, route pattern and status code",
+  labelNames: ["method", "route", "status"],
+  buckets: REQUEST_BUCKETS,
+  registers: [registry],
+})
+
+export const prismaQueryDuration = new client.Histogram({
+  name: "prisma_query_duration_seconds",
+  help: "Prisma query latency by model (\"raw\" for SQL queries) and operation",
+  labelNames: ["model", "operation"],
+  buckets: QUERY_BUCKETS,
+  registers: [registry],
+})
+
+export const importRows = new client.Counter({
+  name: "csv_import_rows_total",
+  help: "CSV rows processed by finished imports, by outcome (rate() gives import throughput)",
+  labelNames: ["result"],
+  registers: [registry],
+})
+
+export const importDuration = new client.Histogram({
+  name: "csv_import_duration_seconds",
+  help: "CSV import duration by final status",
+  labelNames: ["status"],
+  buckets: IMPORT_BUCKETS,
+  registers: [registry],
+})
+
+export const importsInProgress = new client.Gauge({
+  name: "csv_imports_in_progress",
+  help: "CSV imports running in this process",
+  registers: [registry],
+})
+
+// Cache counters live in the cache itself (see cache.getMetrics); they are read at scrape time
+new client.Counter({
+  name: "cache_requests_total",
+  help: "Cache lookups by namespace and result (hit or miss)",
+  labelNames: ["namespace", "result"],
+  registers: [registry],
+  async collect() {
+    const { namespaces } = await cache.getMetrics()
+    this.reset()
+    for (const [namespace, counters] of Object.entries(namespaces)) {
+      this.inc({ namespace, result: "hit" }, counters.hits)
+      this.inc({ namespace, result: "miss" }, counters.misses)
+    }
+  },
+})
+
+new client.Gauge({
+  name: "cache_hit_ratio",
+  help: "Share of cache lookups that were hits since the process started, by namespace",
+  labelNames: ["namespace"],
+  registers: [registry],
+  async collect() {
+    const { namespaces } = await cache.getMetrics()
+    this.reset()
+    for (const [namespace, counters] of Object.entries(namespaces)) {
+      if (counters.hitRate !== null) {
+        this.set({ namespace }, counters.hitRate)
+      }
+    }
+  },
+})
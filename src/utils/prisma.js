@@ -1,5 +1,6 @@
 import { PrismaClient } from "@prisma/client"
 import "dotenv/config"
+import { prismaQueryDuration } from "./metrics.js"
 
 // PrismaClient is attached to the `global` object in development to prevent
 // exhausting your database connection limit.
@@ -10,7 +11,7 @@ if (!process.env.DATABASE_URL) {
   throw new Error("DATABASE_URL environment variable is not set. Please check your .env file.")
 }
 
-export const prisma = globalForPrisma.prisma ?? new PrismaClient({
+export const prisma = globalForPrisma.prisma ?? withQueryMetrics(new PrismaClient({
   log: process.env.NODE_ENV === "development" ? ["error", "warn"] : ["error"],
   // Optimize connection pool for better performance
   datasources: {
@@ -18,9 +19,26 @@ export const prisma = globalForPrisma.prisma ?? new PrismaClient({
       url: process.env.DATABASE_URL,
     },
   },
-})
+}))
 
 if (process.env.NODE_ENV !== "production") {
   globalForPrisma.prisma = prisma
 }
 
+/**
+ * Time every query (model operations and raw SQL) into prisma_query_duration_seconds
+ */
+function withQueryMetrics(client) {
+  return client.$extends({
+    query: {
+      async $allOperations({ model, operation, args, query }) {
+        const stopTimer = prismaQueryDuration.startTimer({ model: model || "raw", operation })
+        try {
+          return await query(args)
+        } finally {
+          stopTimer()
+        }
+      },
+    },
+  })
+}
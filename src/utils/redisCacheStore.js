@@ -0,0 +1,76 @@
+import Redis from "ioredis"
+import { logger } from "./logger.js"
+
+// Tag sets outlive the entries they list; keys of expired entries in them are harmless
+const TAG_TTL = 24 * 60 * 60 * 1000 // 1 day
+const CLEAR_BATCH_SIZE = 500
+
+/**
+ * Cache store shared by every API instance, on Redis (or any server speaking its protocol)
+ * Each tag is a set of the keys tagged with it. All keys live under a prefix, so
+ * clearing the cache never touches other data in the same database.
+ */
+export class RedisCacheStore {
+  constructor(url, { prefix = "cache:" } = {}) {
+    this.prefix = prefix
+    this.client = new Redis(url, {
+      // Fail fast while disconnected: a cache miss is better than a stalled request
+      enableOfflineQueue: false,
+      maxRetriesPerRequest: 1,
+    })
+    this.client.on("error", (error) => {
+      logger.error("Redis cache error", { error: error.message })
+    })
+  }
+
+  async get(key) {
+    return this.client.get(this.prefix + key)
+  }
+
+  async set(key, value, ttl, tags = []) {
+    const pipeline = this.client.multi().set(this.prefix + key, value, "PX", ttl)
+    for (const tag of tags) {
+      pipeline.sadd(this.tagKey(tag), key).pexpire(this.tagKey(tag), TAG_TTL)
+    }
+    await pipeline.exec()
+  }
+
+  async delete(key) {
+    await this.client.del(this.prefix + key)
+  }
+
+  async invalidateTags(tags) {
+    const tagKeys = tags.map((tag) => this.tagKey(tag))
+    const keys = [...new Set((await Promise.all(tagKeys.map((tagKey) => this.client.smembers(tagKey)))).flat())]
+    if (keys.length === 0) return 0
+
+    const [[, deleted]] = await this.client.multi()
+      .del(...keys.map((key) => this.prefix + key))
+      .del(...tagKeys)
+      .exec()
+    return deleted
+  }
+
+  async clear() {
+    let cursor = "0"
+    do {
+      const [next, keys] = await this.client.scan(cursor, "MATCH", `${this.prefix}*`, "COUNT", CLEAR_BATCH_SIZE)
+      if (keys.length > 0) {
+        await this.client.del(...keys)
+      }
+      cursor = next
+    } while (cursor !== "0")
+  }
+
+  async info() {
+    return { status: this.client.status }
+  }
+
+  async disconnect() {
+    await this.client.quit()
+  }
+
+  tagKey(tag) {
+    return `${this.prefix}tag:${tag}`
+  }
+}
@@ -0,0 +1,48 @@
+/**
+ * Role hierarchy and permission map
+ * Each role inherits every permission of the roles below it
+ */
+
+// Ordered from least to most privileged
+export const ROLES = ["viewer", "analyst", "uploader", "admin"]
+
+export const DEFAULT_ROLE = "viewer"
+
+// Permission -> minimum role required
+export const PERMISSIONS = {
+  "transactions:read": "viewer",
+  "customers:read": "viewer",
+  "transactions:export": "analyst",
+  "transactions:upload": "uploader",
+  "transactions:edit": "uploader",
+  "transactions:delete": "admin",
+  "uploads:read": "uploader",
+  "importProfiles:manage": "uploader",
+  "uploads:rollback": "uploader",
+  "uploads:rollbackAny": "admin",
+  "users:manage": "admin",
+}
+
+/**
+ * Check whether a value is a known role
+ * @param {string} role - Role name
+ * @returns {boolean}
+ */
+export function isValidRole(role) {
+  return ROLES.includes(role)
+}
+
+/**
+ * Check whether a role grants a permission
+ * @param {string} role - Role of the user
+ * @param {string} permission - Permission key from PERMISSIONS
+ * @returns {boolean}
+ */
+export function hasPermission(role, permission) {
+  const requiredRole = PERMISSIONS[permission]
+  if (!requiredRole) {
+    throw new Error(`Unknown permission: ${permission}`)
+  }
+
+  return ROLES.indexOf(role) >= ROLES.indexOf(requiredRole)
+}
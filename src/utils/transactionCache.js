@@ -0,0 +1,78 @@
+import { cache } from "./cache.js"
+
+/**
+ * Cache tags for results computed from transactions
+ * Every such entry is tagged `transactions`. Entries whose filters bound the date to a
+ * range of at most MAX_TAGGED_MONTHS are also tagged with each month of the range;
+ * all others are tagged `transactions:undated`. A change to transactions dated within
+ * some months then only invalidates the entries for those months and the undated ones.
+ */
+
+const TRANSACTIONS_TAG = "transactions"
+const UNDATED_TAG = "transactions:undated"
+const MAX_TAGGED_MONTHS = 24
+
+/**
+ * Tags for a cache entry computed from the transactions matching filters
+ * @param {Object} filters - Output of parseTransactionFilters
+ * @returns {string[]}
+ */
+export function transactionCacheTags(filters = {}) {
+  const { from, to } = filters.date || {}
+  if (from && to) {
+    const months = monthsBetween(new Date(from), new Date(to))
+    if (months.length <= MAX_TAGGED_MONTHS) {
+      return [TRANSACTIONS_TAG, ...months.map(monthTag)]
+    }
+  }
+  return [TRANSACTIONS_TAG, UNDATED_TAG]
+}
+
+/**
+ * Invalidate the cache entries affected by a change to transactions
+ * @param {Object} change
+ * @param {Date|null} change.from - Earliest date of a changed transaction (old or new)
+ * @param {Date|null} change.to - Latest date of a changed transaction
+ * @param {boolean} change.all - Changes reach transactions of any date (e.g. a customer was renamed)
+ */
+export async function invalidateTransactionCache({ from = null, to = null, all = false }) {
+  if (all) {
+    await cache.invalidateTags([TRANSACTIONS_TAG])
+    return
+  }
+  if (!from || !to) return
+
+  const months = monthsBetween(from, to)
+  if (months.length > MAX_TAGGED_MONTHS) {
+    await cache.invalidateTags([TRANSACTIONS_TAG])
+  } else {
+    await cache.invalidateTags([UNDATED_TAG, ...months.map(monthTag)])
+  }
+}
+
+/**
+ * Widen a change's date range to include a date
+ * @param {Object} change - { from, to } as passed to invalidateTransactionCache
+ * @param {Date} date - Transaction date
+ */
+export function includeDate(change, date) {
+  if (!change.from || date < change.from) change.from = date
+  if (!change.to || date > change.to) change.to = date
+}
+
+/**
+ * First day (UTC) of every month from `from` to `to`, inclusive
+ */
+function monthsBetween(from, to) {
+  const months = []
+  const month = new Date(Date.UTC(from.getUTCFullYear(), from.getUTCMonth(), 1))
+  while (month <= to && months.length <= MAX_TAGGED_MONTHS) {
+    months.push(new Date(month))
+    month.setUTCMonth(month.getUTCMonth() + 1)
+  }
+  return months
+}
+
+function monthTag(month) {
+  return `${TRANSACTIONS_TAG}:${month.toISOString().slice(0, 7)}`
+}
@@ -0,0 +1,307 @@
+/**
+ * Transaction filter language shared by the list, stats and export endpoints
+ *
+ * Query string syntax:
+ * - `regions=North&regions=South`  include values (also genders, categories, paymentMethods, tags)
+ * - `regions!=North`               exclude values
+ * - `tags=eco&tagMode=all`          tags match exactly (case-insensitive); included tags match
+ *                                  rows with any of them (tagMode=any, the default) or all of them
+ * - `ageMin=20&ageMax=40`          age range; either bound may be omitted
+ * - `dateFrom=2023-01-01&dateTo=…` date range (inclusive); either bound may be omitted
+ * - `or[0][regions]=North&or[1][categories]=Beauty`
+ *                                  OR groups: a row must match at least one group
+ *                                  (in addition to the top-level filters)
+ *
+ * Filters compile to a Prisma `where` (compileTransactionFilters) or, for
+ * queries Prisma cannot express, to an equivalent SQL condition (compileTransactionFiltersSql).
+ */
+
+import { Prisma } from "@prisma/client"
+
+// Query parameter -> Transaction column
+export const FILTER_DIMENSIONS = {
+  regions: "customerRegion",
+  genders: "gender",
+  categories: "productCategory",
+  paymentMethods: "paymentMethod",
+  tags: "tags",
+}
+
+const MAX_VALUES = 200 // Values per list filter
+const MAX_OR_GROUPS = 10
+const AGE_LIMITS = { min: 0, max: 150 }
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+const TAG_MODES = ["any", "all"]
+
+/**
+ * Thrown when a query string contains invalid filters
+ */
+export class FilterValidationError extends Error {
+  constructor(errors) {
+    super("Invalid filters")
+    this.status = 400
+    this.errors = errors
+  }
+}
+
+/**
+ * Parse and validate filters from a query string
+ * @param {Object} query - Express query object
+ * @returns {Object} - Filters: { include, exclude, tagMode, age, date, anyOf } (empty parts omitted)
+ * @throws {FilterValidationError} - With every problem found
+ */
+export function parseTransactionFilters(query) {
+  const errors = []
+  const filters = parseGroup(query, "", errors)
+
+  if (query.or !== undefined) {
+    const groups = Array.isArray(query.or) ? query.or : Object.values(query.or || {})
+    if (groups.length > MAX_OR_GROUPS) {
+      errors.push(`or accepts at most ${MAX_OR_GROUPS} groups`)
+    }
+    const anyOf = []
+    groups.slice(0, MAX_OR_GROUPS).forEach((group, index) => {
+      if (!group || typeof group !== "object" || Array.isArray(group)) {
+        errors.push(`or[${index}] must be a group of filters`)
+        return
+      }
+      if (group.or !== undefined) {
+        errors.push(`or[${index}] cannot contain nested or groups`)
+      }
+      const parsed = parseGroup(group, `or[${index}].`, errors)
+      if (Object.keys(parsed).length === 0) {
+        // An empty group would match every row, making the whole OR a no-op
+        errors.push(`or[${index}] must contain at least one filter`)
+        return
+      }
+      anyOf.push(parsed)
+    })
+    if (anyOf.length > 0) {
+      filters.anyOf = anyOf
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new FilterValidationError(errors)
+  }
+  return filters
+}
+
+/**
+ * Compile filters into Prisma where conditions
+ * @param {Object} filters - Output of parseTransactionFilters
+ * @returns {Array} - Conditions to combine with AND
+ */
+export function compileTransactionFilters(filters = {}) {
+  const conditions = compileGroup(filters)
+
+  if (filters.anyOf?.length > 0) {
+    conditions.push({
+      OR: filters.anyOf.map((group) => ({ AND: compileGroup(group) })),
+    })
+  }
+
+  return conditions
+}
+
+/**
+ * Compile filters into a SQL condition on the transactions table
+ * Matches exactly the rows selected by compileTransactionFilters.
+ * @param {Object} filters - Output of parseTransactionFilters
+ * @returns {Prisma.Sql} - Condition for a WHERE clause (TRUE when there are no filters)
+ */
+export function compileTransactionFiltersSql(filters = {}) {
+  const conditions = compileGroupSql(filters)
+
+  if (filters.anyOf?.length > 0) {
+    conditions.push(joinSql(filters.anyOf.map((group) => joinSql(compileGroupSql(group), "AND")), "OR"))
+  }
+
+  return joinSql(conditions, "AND")
+}
+
+/**
+ * Parse one group of filters (the top level, or one OR group)
+ */
+function parseGroup(source, prefix, errors) {
+  const group = {}
+
+  for (const param of Object.keys(FILTER_DIMENSIONS)) {
+    let include = parseList(source[param], `${prefix}${param}`, errors)
+    let exclude = parseList(source[`${param}!`], `${prefix}${param}!`, errors)
+    if (param === "tags") {
+      // Tags are stored lowercase
+      include = [...new Set(include.map((tag) => tag.toLowerCase()))]
+      exclude = [...new Set(exclude.map((tag) => tag.toLowerCase()))]
+    }
+    if (include.length > 0) {
+      group.include = { ...group.include, [param]: include }
+    }
+    if (exclude.length > 0) {
+      group.exclude = { ...group.exclude, [param]: exclude }
+    }
+  }
+
+  const tagMode = source.tagMode === undefined || source.tagMode === "" ? "any" : source.tagMode
+  if (!TAG_MODES.includes(tagMode)) {
+    errors.push(`${prefix}tagMode must be one of: ${TAG_MODES.join(", ")}`)
+  } else if (tagMode === "all" && group.include?.tags) {
+    group.tagMode = tagMode
+  }
+
+  const ageMin = parseAge(source.ageMin, `${prefix}ageMin`, errors)
+  const ageMax = parseAge(source.ageMax, `${prefix}ageMax`, errors)
+  if (ageMin !== null && ageMax !== null && ageMin > ageMax) {
+    errors.push(`${prefix}ageMin must not be greater than ${prefix}ageMax`)
+  }
+  if (ageMin !== null || ageMax !== null) {
+    group.age = { min: ageMin, max: ageMax }
+  }
+
+  const dateFrom = parseDate(source.dateFrom, `${prefix}dateFrom`, errors)
+  const dateTo = parseDate(source.dateTo, `${prefix}dateTo`, errors)
+  if (dateFrom && dateTo && dateFrom > dateTo) {
+    errors.push(`${prefix}dateFrom must not be after ${prefix}dateTo`)
+  }
+  if (dateFrom || dateTo) {
+    group.date = { from: dateFrom, to: dateTo }
+  }
+
+  return group
+}
+
+function compileGroup(group) {
+  const conditions = []
+
+  for (const [param, values] of Object.entries(group.include || {})) {
+    const column = FILTER_DIMENSIONS[param]
+    if (param === "tags") {
+      conditions.push({ tags: group.tagMode === "all" ? { hasEvery: values } : { hasSome: values } })
+    } else {
+      conditions.push({ [column]: { in: values } })
+    }
+  }
+
+  for (const [param, values] of Object.entries(group.exclude || {})) {
+    const column = FILTER_DIMENSIONS[param]
+    if (param === "tags") {
+      conditions.push({ NOT: { tags: { hasSome: values } } })
+    } else {
+      conditions.push({ [column]: { notIn: values } })
+    }
+  }
+
+  if (group.age) {
+    conditions.push({
+      age: {
+        ...(group.age.min !== null ? { gte: group.age.min } : {}),
+        ...(group.age.max !== null ? { lte: group.age.max } : {}),
+      },
+    })
+  }
+
+  if (group.date) {
+    conditions.push({
+      date: {
+        ...(group.date.from ? { gte: new Date(group.date.from) } : {}),
+        ...(group.date.to ? { lte: new Date(group.date.to) } : {}),
+      },
+    })
+  }
+
+  return conditions
+}
+
+function compileGroupSql(group) {
+  const conditions = []
+
+  for (const [param, values] of Object.entries(group.include || {})) {
+    const column = Prisma.raw(`"${FILTER_DIMENSIONS[param]}"`)
+    if (param === "tags") {
+      // && (overlaps) and @> (contains) can use the GIN index on tags
+      const operator = Prisma.raw(group.tagMode === "all" ? "@>" : "&&")
+      conditions.push(Prisma.sql`${column} ${operator} ${values}::text[]`)
+    } else {
+      conditions.push(Prisma.sql`${column} IN (${Prisma.join(values)})`)
+    }
+  }
+
+  for (const [param, values] of Object.entries(group.exclude || {})) {
+    const column = Prisma.raw(`"${FILTER_DIMENSIONS[param]}"`)
+    if (param === "tags") {
+      conditions.push(Prisma.sql`NOT (${column} && ${values}::text[])`)
+    } else {
+      conditions.push(Prisma.sql`${column} NOT IN (${Prisma.join(values)})`)
+    }
+  }
+
+  if (group.age?.min !== null && group.age?.min !== undefined) {
+    conditions.push(Prisma.sql`"age" >= ${group.age.min}`)
+  }
+  if (group.age?.max !== null && group.age?.max !== undefined) {
+    conditions.push(Prisma.sql`"age" <= ${group.age.max}`)
+  }
+  if (group.date?.from) {
+    conditions.push(Prisma.sql`"date" >= ${group.date.from}::date`)
+  }
+  if (group.date?.to) {
+    conditions.push(Prisma.sql`"date" <= ${group.date.to}::date`)
+  }
+
+  return conditions
+}
+
+/**
+ * Combine SQL conditions, parenthesized; an empty list is always true
+ */
+function joinSql(conditions, operator) {
+  if (conditions.length === 0) return Prisma.sql`TRUE`
+  return Prisma.sql`(${Prisma.join(conditions, ` ${operator} `)})`
+}
+
+function parseList(value, name, errors) {
+  if (value === undefined || value === "") return []
+
+  const values = Array.isArray(value) ? value : [value]
+  if (!values.every((item) => typeof item === "string")) {
+    errors.push(`${name} must be a list of strings`)
+    return []
+  }
+  if (values.length > MAX_VALUES) {
+    errors.push(`${name} accepts at most ${MAX_VALUES} values`)
+    return []
+  }
+  return [...new Set(values.map((item) => item.trim()).filter(Boolean))]
+}
+
+function parseAge(value, name, errors) {
+  if (value === undefined || value === "") return null
+
+  if (typeof value !== "string" || !/^\d+$/.test(value.trim())) {
+    errors.push(`${name} must be a whole number`)
+    return null
+  }
+  const age = parseInt(value, 10)
+  if (age < AGE_LIMITS.min || age > AGE_LIMITS.max) {
+    errors.push(`${name} must be between ${AGE_LIMITS.min} and ${AGE_LIMITS.max}`)
+    return null
+  }
+  return age
+}
+
+function parseDate(value, name, errors) {
+  if (value === undefined || value === "") return null
+
+  const trimmed = typeof value === "string" ? value.trim() : ""
+  // Round-trip through UTC so impossible dates (2024-02-30) are rejected instead of rolled over
+  if (!DATE_PATTERN.test(trimmed) || !isCalendarDate(trimmed)) {
+    errors.push(`${name} must be a date in YYYY-MM-DD format`)
+    return null
+  }
+  return trimmed
+}
+
+function isCalendarDate(value) {
+  const date = new Date(`${value}T00:00:00Z`)
+  return !isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value
+}
@@ -0,0 +1,220 @@
+/**
+ * Validation schema for Transaction fields
+ * Used to coerce raw (string) input from CSV imports and API payloads into
+ * database values, collecting every problem instead of guessing a value.
+ */
+
+// Largest value that fits Decimal(12, 2)
+const MAX_AMOUNT = 9999999999.99
+
+export const TRANSACTION_SCHEMA = {
+  transactionId: { type: "string", required: true, maxLength: 100 },
+  date: { type: "date", required: true },
+  customerId: { type: "string", required: true, maxLength: 100 },
+  customerName: { type: "string", required: true, maxLength: 200 },
+  phoneNumber: { type: "string", required: true, pattern: /^\+?[\d\s().-]{4,20}$/, patternMessage: "must be a phone number" },
+  gender: { type: "string", required: true, maxLength: 50 },
+  age: { type: "integer", required: true, min: 0, max: 120 },
+  customerRegion: { type: "string", required: true, maxLength: 100 },
+  customerType: { type: "string", required: false, maxLength: 100 },
+  productId: { type: "string", required: true, maxLength: 100 },
+  productName: { type: "string", required: false, maxLength: 200 },
+  brand: { type: "string", required: false, maxLength: 100 },
+  productCategory: { type: "string", required: true, maxLength: 100 },
+  tags: { type: "tags", required: false, maxLength: 500 }, // Comma-separated in CSV files
+  quantity: { type: "integer", required: true, min: 1, max: 1000000 },
+  pricePerUnit: { type: "decimal", required: true, min: 0, max: MAX_AMOUNT },
+  discountPercentage: { type: "decimal", required: true, min: 0, max: 100 },
+  totalAmount: { type: "decimal", required: true, min: 0, max: MAX_AMOUNT },
+  finalAmount: { type: "decimal", required: true, min: 0, max: MAX_AMOUNT },
+  paymentMethod: { type: "string", required: true, maxLength: 100 },
+  orderStatus: { type: "string", required: false, maxLength: 100 },
+  deliveryType: { type: "string", required: false, maxLength: 100 },
+  storeId: { type: "string", required: false, maxLength: 100 },
+  storeLocation: { type: "string", required: false, maxLength: 200 },
+  salespersonId: { type: "string", required: false, maxLength: 100 },
+  employeeName: { type: "string", required: true, maxLength: 200 },
+}
+
+export const TRANSACTION_FIELDS = Object.keys(TRANSACTION_SCHEMA)
+
+/**
+ * Validate and coerce a set of Transaction fields
+ * @param {Object} input - Raw values keyed by field (strings, numbers or dates)
+ * @param {Object} options
+ * @param {boolean} options.partial - Only validate fields present in the input (updates)
+ * @returns {Object} - { data, issues: [{ field, message }] }
+ */
+export function validateTransactionInput(input, { partial = false } = {}) {
+  const data = {}
+  const issues = []
+
+  for (const [field, rule] of Object.entries(TRANSACTION_SCHEMA)) {
+    const raw = input[field]
+    if (partial && raw === undefined) continue
+
+    const empty = raw === undefined || raw === null || String(raw).trim() === ""
+    if (empty) {
+      if (rule.required) {
+        issues.push({ field, message: `Missing ${field}` })
+      } else {
+        data[field] = null
+      }
+      continue
+    }
+
+    try {
+      data[field] = coerceValue(field, rule, raw)
+    } catch (error) {
+      issues.push({ field, message: error.message })
+    }
+  }
+
+  return { data, issues }
+}
+
+/**
+ * Normalize tags for storage and matching: trimmed, lowercased, de-duplicated and sorted
+ * @param {string|string[]} value - Comma-separated string or list of tags
+ * @returns {string[]}
+ */
+export function normalizeTags(value) {
+  const tags = Array.isArray(value) ? value : String(value).split(",")
+  return [...new Set(tags.map((tag) => String(tag).trim().toLowerCase()).filter(Boolean))].sort()
+}
+
+/**
+ * Work out which fields incoming values would change on a stored row
+ * @param {Object} existing - Stored row (Prisma values)
+ * @param {Object} incoming - Validated incoming values
+ * @param {string[]} fields - Fields to compare
+ * @param {Object} options
+ * @param {boolean} options.merge - Ignore empty incoming values instead of clearing the stored ones
+ * @returns {Object} - Changed fields (empty when identical)
+ */
+export function diffFields(existing, incoming, fields, { merge = false } = {}) {
+  const changes = {}
+  for (const field of fields) {
+    const value = incoming[field]
+    if (merge && (value === null || value === undefined)) continue
+    if (comparable(existing[field]) !== comparable(value)) {
+      changes[field] = value
+    }
+  }
+  return changes
+}
+
+/**
+ * Coerce one non-empty value according to its rule
+ * @throws {Error} - With a message suitable for showing to the user
+ */
+function coerceValue(field, rule, raw) {
+  // API payloads can hold any JSON value; only text and numbers (lists of text for tags) are accepted
+  const scalar = (value) => typeof value === "string" || typeof value === "number" || value instanceof Date
+  if (!(scalar(raw) || (rule.type === "tags" && Array.isArray(raw) && raw.every(scalar)))) {
+    throw new Error(`Invalid value for ${field}: expected ${rule.type === "tags" ? "text or a list of text" : "text or a number"}`)
+  }
+
+  switch (rule.type) {
+    case "integer": {
+      const trimmed = String(raw).trim()
+      if (!/^-?\d+$/.test(trimmed)) {
+        throw new Error(`Invalid number for ${field}: "${raw}"`)
+      }
+      return checkRange(field, rule, parseInt(trimmed, 10))
+    }
+    case "decimal": {
+      // Allow thousands separators and a leading currency symbol
+      const cleaned = String(raw).trim().replace(/[,\s]/g, "").replace(/^[^\d.-]+/, "")
+      const number = Number(cleaned)
+      if (cleaned === "" || !Number.isFinite(number)) {
+        throw new Error(`Invalid number for ${field}: "${raw}"`)
+      }
+      return checkRange(field, rule, Math.round(number * 100) / 100)
+    }
+    case "date":
+      return parseDate(field, raw)
+    case "tags": {
+      const value = Array.isArray(raw) ? raw.join(",") : String(raw)
+      if (rule.maxLength && value.length > rule.maxLength) {
+        throw new Error(`${field} is longer than ${rule.maxLength} characters`)
+      }
+      const tags = normalizeTags(raw)
+      return tags.length > 0 ? tags : null
+    }
+    default: {
+      const value = String(raw).trim()
+      if (rule.maxLength && value.length > rule.maxLength) {
+        throw new Error(`${field} is longer than ${rule.maxLength} characters`)
+      }
+      if (rule.pattern && !rule.pattern.test(value)) {
+        throw new Error(`${field} ${rule.patternMessage || "has an invalid format"}: "${raw}"`)
+      }
+      return value
+    }
+  }
+}
+
+function checkRange(field, rule, value) {
+  if (rule.min !== undefined && value < rule.min) {
+    throw new Error(`${field} must be at least ${rule.min}, got ${value}`)
+  }
+  if (rule.max !== undefined && value > rule.max) {
+    throw new Error(`${field} must be at most ${rule.max}, got ${value}`)
+  }
+  return value
+}
+
+/**
+ * Parse DD-MM-YYYY, YYYY-MM-DD and other unambiguous date formats (as UTC dates)
+ */
+function parseDate(field, raw) {
+  if (raw instanceof Date) {
+    if (isNaN(raw.getTime())) throw new Error(`Unparsable date for ${field}`)
+    return raw
+  }
+
+  const value = String(raw).trim()
+  let date
+  let match
+  if ((match = value.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})$/))) {
+    // DD-MM-YYYY
+    date = utcDate(match[3], match[2], match[1])
+  } else if ((match = value.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/))) {
+    // YYYY-MM-DD
+    date = utcDate(match[1], match[2], match[3])
+  } else {
+    date = new Date(value)
+  }
+
+  if (!date || isNaN(date.getTime())) {
+    throw new Error(`Unparsable date: "${raw}"`)
+  }
+  const year = date.getUTCFullYear()
+  if (year < 1900 || year > 2100) {
+    throw new Error(`Date out of range: "${raw}"`)
+  }
+  return date
+}
+
+/**
+ * Build a UTC date, rejecting overflow such as 31-02-2024
+ */
+function utcDate(year, month, day) {
+  const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)))
+  if (date.getUTCMonth() !== Number(month) - 1 || date.getUTCDate() !== Number(day)) {
+    return null
+  }
+  return date
+}
+
+/**
+ * Normalize Prisma values (Decimal, Date, lists) and plain values to comparable primitives
+ */
+function comparable(value) {
+  if (value === null || value === undefined) return null
+  if (Array.isArray(value)) return value.length > 0 ? [...value].sort().join(",") : null
+  if (value instanceof Date) return value.toISOString().split("T")[0]
+  if (typeof value === "object" || typeof value === "number") return Number(value.toString())
+  return value
+}
@@ -0,0 +1,88 @@
+import { TRANSACTION_FIELDS, TRANSACTION_SCHEMA } from "./transactionSchema.js"
+
+/**
+ * Sort parameters for transaction queries
+ *
+ * - `sort=date:desc,finalAmount:desc`  one or more `field[:asc|desc]` keys, applied in order
+ * - `sortBy=date&sortOrder=desc`       single key (older form, still accepted)
+ * - `relevance`                        search relevance; only on its own
+ *
+ * Sorts are returned as [{ field, direction }].
+ */
+
+// Every Transaction column except the tags list
+export const SORTABLE_FIELDS = [...TRANSACTION_FIELDS.filter((field) => field !== "tags"), "createdAt", "updatedAt"]
+
+export const DEFAULT_SORT = [{ field: "customerName", direction: "asc" }]
+
+const MAX_SORT_KEYS = 5
+const DIRECTIONS = ["asc", "desc"]
+
+/**
+ * Thrown when a query string contains an invalid sort
+ */
+export class SortValidationError extends Error {
+  constructor(errors) {
+    super("Invalid sort")
+    this.status = 400
+    this.errors = errors
+  }
+}
+
+/**
+ * Parse and validate the sort from a query string
+ * @param {Object} query - Express query object
+ * @returns {Array} - [{ field, direction }], DEFAULT_SORT when no sort is given
+ * @throws {SortValidationError} - With every problem found
+ */
+export function parseTransactionSort(query) {
+  let keys
+  if (query.sort !== undefined && query.sort !== "") {
+    if (typeof query.sort !== "string") {
+      throw new SortValidationError(["sort must be a comma-separated list of field:direction"])
+    }
+    keys = query.sort.split(",").map((part) => {
+      const [field, direction = "asc"] = part.trim().split(":")
+      return { field, direction: direction.toLowerCase() }
+    })
+  } else if (query.sortBy !== undefined && query.sortBy !== "") {
+    const direction = typeof query.sortOrder === "string" && query.sortOrder !== "" ? query.sortOrder.toLowerCase() : "asc"
+    keys = [{ field: query.sortBy, direction }]
+  } else {
+    return DEFAULT_SORT
+  }
+
+  const errors = []
+  if (keys.length > MAX_SORT_KEYS) {
+    errors.push(`sort accepts at most ${MAX_SORT_KEYS} fields`)
+  }
+  const seen = new Set()
+  for (const { field, direction } of keys) {
+    if (field === "relevance") {
+      if (keys.length > 1) errors.push("relevance cannot be combined with other sort fields")
+    } else if (!SORTABLE_FIELDS.includes(field)) {
+      errors.push(`Unknown sort field "${field}". Sortable fields: relevance, ${SORTABLE_FIELDS.join(", ")}`)
+    }
+    if (!DIRECTIONS.includes(direction)) {
+      errors.push(`Sort direction for ${field} must be asc or desc`)
+    }
+    if (seen.has(field)) {
+      errors.push(`${field} appears more than once in sort`)
+    }
+    seen.add(field)
+  }
+
+  if (errors.length > 0) {
+    throw new SortValidationError(errors)
+  }
+  return keys
+}
+
+/**
+ * Whether a sort field can hold NULL (those sort after every value)
+ * @param {string} field - Sort field
+ * @returns {boolean}
+ */
+export function isNullableSortField(field) {
+  return TRANSACTION_SCHEMA[field]?.required === false
+}
@@ -0,0 +1,12 @@
+// Any UUID version, in the canonical 8-4-4-4-12 hex form Postgres accepts for UUID columns
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+
+/**
+ * Check that a value is a UUID, before it reaches a query on a UUID column
+ * (Prisma rejects malformed UUIDs with an error instead of finding nothing)
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+export function isUuid(value) {
+  return typeof value === "string" && UUID_PATTERN.test(value)
+}